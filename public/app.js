@@ -16,11 +16,19 @@ const state = {
   activeSportEditor: null,
   messageTimer: null,
   sportsFlowMode: 'onboarding',
+  resetToken: null,
+  csrfToken: null,
+  sportEditorPollTimer: null,
+  sportRequestTimer: null,
+  homeSearchTimer: null,
+  homeSearchDirty: false,
 };
 
 const screens = [
   'screen-welcome',
   'screen-auth',
+  'screen-password-reset-request',
+  'screen-password-reset-confirm',
   'screen-sports',
   'screen-review',
   'screen-home',
@@ -33,6 +41,15 @@ function $(id) {
   return document.getElementById(id);
 }
 
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 function setBusy(nextBusy) {
   state.busy = nextBusy;
   document.querySelectorAll('button, input').forEach((element) => {
@@ -99,6 +116,7 @@ function setUserPill() {
     pill.textContent = '';
     pill.classList.add('hidden');
   }
+  $('verify-banner').classList.toggle('hidden', !state.user || Boolean(state.user.emailVerifiedAt));
 }
 
 function setSportsFlowMode(mode) {
@@ -108,15 +126,25 @@ function setSportsFlowMode(mode) {
   cta.textContent = mode === 'edit' ? 'Save sports' : 'Continue';
 }
 
-async function api(path, options = {}) {
+async function api(path, options = {}, retried = false) {
   const response = await fetch(path, {
     ...options,
     headers: {
       'Content-Type': 'application/json',
+      ...(state.csrfToken ? { 'X-CSRF-Token': state.csrfToken } : {}),
       ...(options.headers || {}),
     },
   });
   const data = await response.json().catch(() => ({}));
+  if (data.csrfToken) state.csrfToken = data.csrfToken;
+  // The session may have been rotated in another tab; pick up its token once and retry.
+  if (response.status === 403 && data.code === 'csrf' && !retried) {
+    const me = await fetch('/api/me').then((r) => r.json()).catch(() => ({}));
+    if (me.csrfToken) {
+      state.csrfToken = me.csrfToken;
+      return api(path, options, true);
+    }
+  }
   if (!response.ok) throw new Error(data.error || 'Request failed');
   return data;
 }
@@ -126,15 +154,24 @@ function setAuthMode(mode) {
   $('auth-title').textContent = mode === 'signup' ? 'Sign Up' : 'Log In';
   $('auth-submit').textContent = mode === 'signup' ? 'Create account' : 'Log in';
   $('name').parentElement.style.display = mode === 'signup' ? 'grid' : 'none';
+  $('forgot-password-link').classList.toggle('hidden', mode !== 'login');
+}
+
+// Mirrors isValidEmail / isStrongPassword in server.js.
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function isStrongPassword(password) {
+  return password.length >= 8 && /[A-Za-z]/.test(password) && /\d/.test(password);
 }
 
 function validateAuthPayload(payload) {
   const email = String(payload.email || '').trim();
   const password = String(payload.password || '');
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) return 'Please enter a valid email address.';
+  if (!isValidEmail(email)) return 'Please enter a valid email address.';
   if (state.mode === 'signup') {
-    if (password.length < 8 || !/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    if (!isStrongPassword(password)) {
       return 'Password must be 8+ chars and include at least 1 letter and 1 number.';
     }
   }
@@ -235,7 +272,8 @@ function renderSportsCatalog() {
     const button = document.createElement('button');
     button.className = `chip ${state.selectedSports.has(sport.id) ? 'active' : ''}`;
     button.type = 'button';
-    button.textContent = sport.name;
+    // Say why an alias hit showed up, e.g. "Soccer (Football)".
+    button.textContent = sport.matchedAlias ? `${sport.name} (${sport.matchedAlias})` : sport.name;
     button.dataset.action = 'toggle-sport';
     button.dataset.sportId = sport.id;
     container.appendChild(button);
@@ -249,7 +287,7 @@ function renderReview(targetId) {
     .filter(Boolean);
   const target = $(targetId);
   const chips = sports.length
-    ? sports.map((name) => `<span class="summary-pill">${name}</span>`).join('')
+    ? sports.map((name) => `<span class="summary-pill">${escapeHtml(name)}</span>`).join('')
     : '<span class="summary-empty">No sports selected</span>';
 
   target.innerHTML = `
@@ -301,8 +339,8 @@ function renderHomeSectionsChunk() {
       ? `<div class="highlight-list">${highlights
           .map(
             (item) => `<article class="highlight-item">
-              <p class="highlight-title">${item.title || 'Upcoming event'}</p>
-              <p class="highlight-meta">${item.league || ''}${item.date ? ` · ${item.date}` : ''}${item.time ? ` ${item.time}` : ''}</p>
+              <p class="highlight-title">${escapeHtml(item.title || 'Upcoming event')}</p>
+              <p class="highlight-meta">${escapeHtml(item.league)}${item.date ? ` · ${escapeHtml(item.date)}` : ''}${item.time ? ` ${escapeHtml(item.time)}` : ''}</p>
             </article>`
           )
           .join('')}</div>`
@@ -311,8 +349,8 @@ function renderHomeSectionsChunk() {
       ? `<div class="news-list">${news
           .map(
             (item) => `<article class="news-item">
-              <p class="news-title">${item.title || 'Latest update'}</p>
-              <p class="news-meta">${item.date || ''}</p>
+              <p class="news-title">${escapeHtml(item.title || 'Latest update')}</p>
+              <p class="news-meta">${escapeHtml(item.date)}</p>
             </article>`
           )
           .join('')}</div>`
@@ -321,15 +359,15 @@ function renderHomeSectionsChunk() {
     card.className = 'sport-feed-card';
     card.innerHTML = `
       <div class="sport-feed-head">
-        <h3>${section.sport.name}</h3>
-        <button class="secondary" data-action="open-sport-interests" data-sport-id="${section.sport.id}">Add interests</button>
+        <h3>${escapeHtml(section.sport.name)}</h3>
+        <button class="secondary" data-action="open-sport-interests" data-sport-id="${escapeHtml(section.sport.id)}">Add interests</button>
       </div>
       <div class="sport-feed-metrics">
         <span class="metric-pill">${section.counts.teams} teams</span>
         <span class="metric-pill">${section.counts.players} players</span>
         <span class="metric-pill">${section.counts.leagues} leagues</span>
       </div>
-      <p class="muted">Track favorites for ${section.sport.name} in one place.</p>      
+      <p class="muted">Track favorites for ${escapeHtml(section.sport.name)} in one place.</p>      
       ${highlights.length ? '<p class="feed-block-title">Matches & Fixtures</p>' : ''}
       ${highlightsHtml}
       <p class="feed-block-title">Latest News</p>
@@ -362,10 +400,41 @@ function setupHomeObserver() {
   state.homeObserver.observe(sentinel);
 }
 
+function sportRequestNoticeHtml(request) {
+  if (request.status === 'approved') {
+    return `<span>${escapeHtml(request.sport ? request.sport.name : request.sportName)} is now in the catalog.</span>
+        <button class="text-link" data-action="edit-interests" type="button">Add it</button>`;
+  }
+  return `<span>Your request for ${escapeHtml(request.sportName)} was declined${request.note ? `: ${escapeHtml(request.note)}` : '.'}</span>`;
+}
+
+function renderHomeNotices(notices) {
+  const wrap = $('home-notices');
+  wrap.classList.toggle('hidden', notices.length === 0);
+  wrap.innerHTML = notices
+    .map((notice) =>
+      notice.type === 'sport-request'
+        ? `<div class="feed-notice">
+        <strong>Sport request</strong>
+        ${sportRequestNoticeHtml(notice.request)}
+        <span class="muted">${escapeHtml(formatDateTime(notice.date))}</span>
+      </div>`
+        : `<div class="feed-notice">
+        <strong>Transfer</strong>
+        <span>${escapeHtml(notice.playerName)} moved from ${escapeHtml(notice.fromTeam.name || 'another team')} to ${escapeHtml(
+          notice.toTeam.name || 'a new team'
+        )}</span>
+        <span class="muted">${escapeHtml(formatDateTime(notice.date))}</span>
+      </div>`
+    )
+    .join('');
+}
+
 async function loadHomeFeed() {
   const data = await api('/api/home/feed');
   state.homeSections = data.sections || [];
   state.homeOffset = 0;
+  renderHomeNotices(Array.isArray(data.notices) ? data.notices : []);
 
   const feed = $('home-feed');
   const empty = $('home-feed-empty');
@@ -389,7 +458,10 @@ async function renderAccount() {
   summary.innerHTML = `
     <div class="summary-block">
       <p class="summary-label">Profile</p>
-      <div class="summary-pills"><span class="summary-pill">${state.user.name}</span><span class="summary-pill">${state.user.email}</span></div>
+      <div class="summary-pills"><span class="summary-pill">${escapeHtml(state.user.name)}</span><span class="summary-pill">${escapeHtml(state.user.email)}</span>${(state.user.roles || [])
+        .map((role) => `<span class="summary-pill">${escapeHtml(role)}</span>`)
+        .join('')}</div>
+      ${state.user.pendingEmail ? `<p class="muted">Waiting for you to confirm ${escapeHtml(state.user.pendingEmail)}.</p>` : ''}
       <p class="summary-label">Interests</p>
       <div class="summary-pills">
         <span class="summary-pill">${(interests.sportIds || []).length} sports</span>
@@ -399,14 +471,171 @@ async function renderAccount() {
       </div>
     </div>
   `;
+  $('profile-name').value = state.user.name;
+  $('profile-email').value = state.user.email;
+  $('new-token-box').classList.add('hidden');
+  await renderAccountSessions();
+  await renderAccountTokens();
+}
+
+function describeUserAgent(userAgent) {
+  const ua = String(userAgent || '');
+  if (!ua) return 'Unknown device';
+  const browser = /Edg\//.test(ua)
+    ? 'Edge'
+    : /Chrome\//.test(ua)
+      ? 'Chrome'
+      : /Firefox\//.test(ua)
+        ? 'Firefox'
+        : /Safari\//.test(ua)
+          ? 'Safari'
+          : /curl\//.test(ua)
+            ? 'curl'
+            : 'Browser';
+  const os = /iPhone|iPad/.test(ua)
+    ? 'iOS'
+    : /Android/.test(ua)
+      ? 'Android'
+      : /Mac OS X/.test(ua)
+        ? 'macOS'
+        : /Windows/.test(ua)
+          ? 'Windows'
+          : /Linux/.test(ua)
+            ? 'Linux'
+            : '';
+  return os ? `${browser} on ${os}` : browser;
+}
+
+function formatDateTime(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+async function renderAccountSessions() {
+  const data = await api('/api/me/sessions');
+  const sessions = Array.isArray(data.sessions) ? data.sessions : [];
+  const list = $('account-sessions');
+  if (sessions.length === 0) {
+    list.innerHTML = '<p class="summary-empty">No active sessions.</p>';
+    return;
+  }
+  list.innerHTML = sessions
+    .map(
+      (session) => `<article class="session-item">
+        <div>
+          <p class="session-title">${escapeHtml(describeUserAgent(session.userAgent))}${session.current ? ' · This device' : ''}</p>
+          <p class="session-meta">Last active ${escapeHtml(formatDateTime(session.lastSeenAt))}${session.ip ? ` · ${escapeHtml(session.ip)}` : ''}</p>
+        </div>
+        ${session.current ? '' : `<button class="secondary" data-action="revoke-session" data-session-id="${escapeHtml(session.id)}">Sign out</button>`}
+      </article>`
+    )
+    .join('');
+}
+
+async function renderAccountTokens() {
+  const data = await api('/api/me/tokens');
+  const tokens = Array.isArray(data.tokens) ? data.tokens : [];
+  const scopes = data.scopes || {};
+  const scopeBox = $('api-token-scopes');
+  if (!scopeBox.children.length) {
+    scopeBox.innerHTML = Object.entries(scopes)
+      .map(
+        ([scope, description]) => `<label class="scope-option" title="${escapeHtml(description)}">
+          <input type="checkbox" name="api-token-scope" value="${escapeHtml(scope)}" ${scope === 'feed:read' ? 'checked' : ''} />
+          ${escapeHtml(scope)}
+        </label>`
+      )
+      .join('');
+  }
+  const list = $('account-tokens');
+  if (tokens.length === 0) {
+    list.innerHTML = '<p class="summary-empty">No API tokens yet.</p>';
+    return;
+  }
+  list.innerHTML = tokens
+    .map(
+      (token) => `<article class="session-item">
+        <div>
+          <p class="session-title">${escapeHtml(token.name)} · ${escapeHtml(token.scopes.join(', '))}</p>
+          <p class="session-meta">${escapeHtml(token.prefix)}… · created ${escapeHtml(formatDateTime(token.createdAt))} · ${
+            token.lastUsedAt ? `last used ${escapeHtml(formatDateTime(token.lastUsedAt))}` : 'never used'
+          }</p>
+        </div>
+        <button class="secondary" data-action="revoke-api-token" data-token-id="${escapeHtml(token.id)}">Revoke</button>
+      </article>`
+    )
+    .join('');
+}
+
+const POSITION_ABBREVIATIONS = {
+  goalkeeper: 'GK',
+  defender: 'DEF',
+  midfielder: 'MID',
+  forward: 'FWD',
+  manager: 'MGR',
+};
+
+function positionAbbreviation(position) {
+  const key = String(position || '').trim().toLowerCase();
+  if (!key) return '';
+  if (POSITION_ABBREVIATIONS[key]) return POSITION_ABBREVIATIONS[key];
+  const words = key.split(/[\s-]+/).filter(Boolean);
+  return words.length > 1 ? words.map((word) => word[0]).join('').toUpperCase() : key.slice(0, 3).toUpperCase();
+}
+
+// Chip body for a team/player/league option; provider metadata shows as a logo, a position badge and
+// a tooltip when present.
+function interestChipContent(groupKey, item) {
+  const name = escapeHtml(item.name);
+  if (groupKey === 'teams') {
+    const image = [item.badgeUrl, item.logoUrl].find((url) => /^https?:\/\//.test(String(url || '')));
+    const logo = image ? `<img class="chip-logo" src="${escapeHtml(image)}" alt="" loading="lazy" />` : '';
+    return `${logo}<span>${name}</span>`;
+  }
+  if (groupKey === 'players') {
+    const badge = [item.shirtNumber ? `#${item.shirtNumber}` : '', positionAbbreviation(item.position)].filter(Boolean).join(' ');
+    return `<span>${name}</span>${badge ? `<span class="chip-badge">${escapeHtml(badge)}</span>` : ''}`;
+  }
+  return `<span>${name}</span>`;
+}
+
+function interestChipTitle(groupKey, item) {
+  const parts =
+    groupKey === 'teams'
+      ? [item.country, item.stadium, item.foundedYear ? `founded ${item.foundedYear}` : '']
+      : groupKey === 'players'
+        ? [item.position, item.nationality, item.birthDate ? `born ${item.birthDate}` : '']
+        : [];
+  return parts.filter(Boolean).join(' · ');
+}
+
+// League buttons above the team chips; only leagues that have teams are offered, the user's own
+// leagues first.
+function teamLeagueFilterHtml(data) {
+  const teams = Array.isArray(data.teams) ? data.teams : [];
+  const leagues = (Array.isArray(data.leagues) ? data.leagues : [])
+    .filter((league) => teams.some((team) => (team.leagueIds || []).includes(league.id)))
+    .sort((a, b) => Number(state.activeSportEditor.leagueIds.has(b.id)) - Number(state.activeSportEditor.leagueIds.has(a.id)));
+  if (leagues.length === 0) return '';
+  const active = state.activeSportEditor.teamLeagueId;
+  const option = (id, label) =>
+    `<button type="button" class="filter-chip ${active === id ? 'selected' : ''}" data-action="filter-teams-by-league" data-league-id="${escapeHtml(id)}">${escapeHtml(label)}</button>`;
+  return `<div class="league-filter">${option('', 'All leagues')}${leagues.map((league) => option(league.id, league.name)).join('')}</div>`;
 }
 
 function renderSportInterestGroups(data) {
   const wrap = $('sport-interest-groups');
   wrap.innerHTML = '';
+  state.activeSportEditor.options = data;
+  const syncing = data.sync && (data.sync.status === 'queued' || data.sync.status === 'running');
+  const teamLeagueId = state.activeSportEditor.teamLeagueId;
+  const teams = (Array.isArray(data.teams) ? data.teams : []).filter(
+    (team) => !teamLeagueId || (team.leagueIds || []).includes(teamLeagueId)
+  );
 
   const groups = [
-    { key: 'teams', label: 'Teams', selected: state.activeSportEditor.teamIds, items: Array.isArray(data.teams) ? data.teams : [] },
+    { key: 'teams', label: 'Teams', selected: state.activeSportEditor.teamIds, items: teams },
     { key: 'players', label: 'Players', selected: state.activeSportEditor.playerIds, items: Array.isArray(data.players) ? data.players : [] },
     { key: 'leagues', label: 'Leagues', selected: state.activeSportEditor.leagueIds, items: Array.isArray(data.leagues) ? data.leagues : [] },
   ];
@@ -418,13 +647,14 @@ function renderSportInterestGroups(data) {
       ? `<div class="interest-chip-grid">${group.items
           .map(
             (item) =>
-              `<button type="button" class="interest-chip ${group.selected.has(item.id) ? 'selected' : ''}" data-action="toggle-interest-option" data-group="${group.key}" data-id="${item.id}">${item.name}</button>`
+              `<button type="button" class="interest-chip ${group.selected.has(item.id) ? 'selected' : ''}" data-action="toggle-interest-option" data-group="${group.key}" data-id="${escapeHtml(item.id)}" title="${escapeHtml(interestChipTitle(group.key, item))}">${interestChipContent(group.key, item)}</button>`
           )
           .join('')}</div>`
-      : '<p class="muted">No options yet for this sport.</p>';
+      : `<p class="muted">${syncing ? 'Fetching options for this sport…' : 'No options yet for this sport.'}</p>`;
 
     section.innerHTML = `
       <h3>${group.label}</h3>
+      ${group.key === 'teams' ? teamLeagueFilterHtml(data) : ''}
       ${itemHtml}
     `;
 
@@ -432,6 +662,26 @@ function renderSportInterestGroups(data) {
   });
 }
 
+// Catalog syncs run in the background; while one is pending for the open sport, re-fetch the
+// options every couple of seconds and keep the user's current picks.
+function scheduleSportEditorPoll(sportId, data, attempt = 0) {
+  clearTimeout(state.sportEditorPollTimer);
+  const pending = data.sync && (data.sync.status === 'queued' || data.sync.status === 'running');
+  if (!pending || attempt >= 15) return;
+  state.sportEditorPollTimer = setTimeout(async () => {
+    if (!state.activeSportEditor || state.activeSportEditor.sportId !== sportId) return;
+    if ($('screen-sport-interests').classList.contains('hidden')) return;
+    try {
+      const next = await api(`/api/sports/${sportId}/interests-options`);
+      if (!state.activeSportEditor || state.activeSportEditor.sportId !== sportId) return;
+      renderSportInterestGroups(next);
+      scheduleSportEditorPoll(sportId, next, attempt + 1);
+    } catch (_) {
+      // Leave the editor as it is; reopening it will try again.
+    }
+  }, 2000);
+}
+
 async function openSportInterestEditor(sportId) {
   const data = await api(`/api/sports/${sportId}/interests-options`);
   state.activeSportEditor = {
@@ -439,10 +689,12 @@ async function openSportInterestEditor(sportId) {
     teamIds: new Set(data.selected.teamIds || []),
     playerIds: new Set(data.selected.playerIds || []),
     leagueIds: new Set(data.selected.leagueIds || []),
+    teamLeagueId: '',
   };
   $('sport-interests-title').textContent = `${data.sport.name} Interests`;
   renderSportInterestGroups(data);
   showScreen('screen-sport-interests');
+  scheduleSportEditorPoll(sportId, data);
 }
 
 async function saveSportInterestEditor() {
@@ -526,6 +778,7 @@ async function hydrateUser() {
     }
   } catch (_) {
     state.user = null;
+    state.csrfToken = null;
     setUserPill();
     showScreen('screen-welcome');
   } finally {
@@ -574,6 +827,213 @@ $('auth-form').addEventListener('submit', async (event) => {
   }
 });
 
+$('password-reset-request-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (state.busy) return;
+  clearMessage();
+  const email = $('reset-email').value.trim();
+  if (!isValidEmail(email)) return showMessage('Please enter a valid email address.', true);
+
+  try {
+    setBusy(true);
+    const result = await api('/api/auth/password-reset/request', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+    $('password-reset-request-form').reset();
+    setAuthMode('login');
+    showScreen('screen-auth');
+    showMessage(result.message || 'Check your email for a reset link.');
+  } catch (err) {
+    showMessage(err.message, true);
+  } finally {
+    setBusy(false);
+  }
+});
+
+$('password-reset-confirm-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (state.busy) return;
+  clearMessage();
+  const password = $('reset-password').value;
+  if (!isStrongPassword(password)) {
+    return showMessage('Password must be 8+ chars and include at least 1 letter and 1 number.', true);
+  }
+  if (password !== $('reset-password-confirm').value) return showMessage('Passwords do not match.', true);
+
+  try {
+    setBusy(true);
+    await api('/api/auth/password-reset/confirm', {
+      method: 'POST',
+      body: JSON.stringify({ token: state.resetToken, password }),
+    });
+    state.resetToken = null;
+    state.user = null;
+    state.csrfToken = null;
+    setUserPill();
+    $('password-reset-confirm-form').reset();
+    setAuthMode('login');
+    showScreen('screen-auth');
+    showMessage('Password updated. Log in with your new password.');
+  } catch (err) {
+    showMessage(err.message, true);
+  } finally {
+    setBusy(false);
+  }
+});
+
+function resetSignedOutState() {
+  disconnectHomeObserver();
+  state.user = null;
+  state.csrfToken = null;
+  state.selectedSports.clear();
+  state.selectedTeams.clear();
+  state.selectedPlayers.clear();
+  state.selectedLeagues.clear();
+  state.options = [];
+  state.catalogSports = [];
+  state.homeSections = [];
+  $('auth-form').reset();
+  $('sport-search').value = '';
+  $('sport-request-form').reset();
+  setUserPill();
+  showScreen('screen-welcome');
+}
+
+async function downloadAccountExport() {
+  const data = await api('/api/me/export');
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `sports-one-export-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
+}
+
+async function submitAccountForm(form, run) {
+  if (state.busy) return;
+  clearMessage();
+  try {
+    setBusy(true);
+    const message = await run();
+    if (!message) return;
+    form.reset();
+    setUserPill();
+    await renderAccount();
+    showMessage(message);
+  } catch (err) {
+    showMessage(err.message, true);
+  } finally {
+    setBusy(false);
+  }
+}
+
+$('profile-name-form').addEventListener('submit', (event) => {
+  event.preventDefault();
+  submitAccountForm($('profile-name-form'), async () => {
+    const name = $('profile-name').value.trim();
+    if (!name) {
+      showMessage('Name is required.', true);
+      return '';
+    }
+    const result = await api('/api/me/profile', { method: 'POST', body: JSON.stringify({ name }) });
+    state.user = result.user;
+    return 'Name updated.';
+  });
+});
+
+$('profile-email-form').addEventListener('submit', (event) => {
+  event.preventDefault();
+  submitAccountForm($('profile-email-form'), async () => {
+    const email = $('profile-email').value.trim();
+    if (!isValidEmail(email)) {
+      showMessage('Please enter a valid email address.', true);
+      return '';
+    }
+    const result = await api('/api/me/email', {
+      method: 'POST',
+      body: JSON.stringify({ email, currentPassword: $('profile-email-password').value }),
+    });
+    state.user = result.user;
+    return `Check ${email} for a link to confirm the change. Your current email stays active until then.`;
+  });
+});
+
+$('profile-password-form').addEventListener('submit', (event) => {
+  event.preventDefault();
+  submitAccountForm($('profile-password-form'), async () => {
+    const newPassword = $('profile-new-password').value;
+    if (!isStrongPassword(newPassword)) {
+      showMessage('Password must be 8+ chars and include at least 1 letter and 1 number.', true);
+      return '';
+    }
+    if (newPassword !== $('profile-new-password-confirm').value) {
+      showMessage('Passwords do not match.', true);
+      return '';
+    }
+    const result = await api('/api/me/password', {
+      method: 'POST',
+      body: JSON.stringify({
+        currentPassword: $('profile-current-password').value,
+        newPassword,
+        revokeApiTokens: $('profile-password-revoke-tokens').checked,
+      }),
+    });
+    if (result.revokedTokens) await renderAccountTokens();
+    const revokedTokens = result.revokedTokens ? ` Revoked ${result.revokedTokens} API token(s).` : '';
+    return result.revokedSessions
+      ? `Password changed. Signed out ${result.revokedSessions} other device(s).${revokedTokens}`
+      : `Password changed.${revokedTokens}`;
+  });
+});
+
+$('api-token-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (state.busy) return;
+  clearMessage();
+  const name = $('api-token-name').value.trim();
+  const scopes = [...document.querySelectorAll('input[name="api-token-scope"]:checked')].map((input) => input.value);
+  if (!name) return showMessage('Token name is required.', true);
+  if (scopes.length === 0) return showMessage('Choose at least one scope.', true);
+
+  try {
+    setBusy(true);
+    const result = await api('/api/me/tokens', { method: 'POST', body: JSON.stringify({ name, scopes }) });
+    $('api-token-name').value = '';
+    await renderAccountTokens();
+    const box = $('new-token-box');
+    box.innerHTML = `Copy this token now. It will not be shown again.<code>${escapeHtml(result.token)}</code>`;
+    box.classList.remove('hidden');
+  } catch (err) {
+    showMessage(err.message, true);
+  } finally {
+    setBusy(false);
+  }
+});
+
+$('delete-account-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (state.busy) return;
+  clearMessage();
+  const password = $('delete-account-password').value;
+  if (!password) return showMessage('Password is required.', true);
+  if (!window.confirm('Delete your account and all of your data? This cannot be undone.')) return;
+
+  try {
+    setBusy(true);
+    await api('/api/me', { method: 'DELETE', body: JSON.stringify({ password }) });
+    $('delete-account-form').reset();
+    resetSignedOutState();
+    showMessage('Your account has been deleted.');
+  } catch (err) {
+    showMessage(err.message, true);
+  } finally {
+    setBusy(false);
+  }
+});
+
 $('sport-search').addEventListener('input', () => {
   clearMessage();
   const query = $('sport-search').value;
@@ -588,6 +1048,114 @@ $('sport-search').addEventListener('input', () => {
   }, 250);
 });
 
+const SEARCH_GROUP_LABELS = { sports: 'Sports', leagues: 'Leagues', teams: 'Teams', players: 'Players' };
+
+function searchResultMeta(result) {
+  if (result.type === 'sport') return result.matchedAlias ? `Also known as ${result.matchedAlias}` : 'Sport';
+  const parts = [result.sport.name];
+  if (result.type === 'player' && result.team) parts.push(result.team.name);
+  if (result.type === 'player' && result.position) parts.push(result.position);
+  if (result.matchedAlias) parts.push(`also known as ${result.matchedAlias}`);
+  return parts.join(' · ');
+}
+
+async function runHomeSearch() {
+  const query = $('home-search').value.trim();
+  const results = $('home-search-results');
+  if (query.length < 2) {
+    results.classList.add('hidden');
+    results.innerHTML = '';
+    // Follows changed from search results show up once the user is back on the feed.
+    if (state.homeSearchDirty) {
+      state.homeSearchDirty = false;
+      await loadSavedInterests();
+      await loadHomeFeed();
+    }
+    return;
+  }
+
+  const data = await api(`/api/search?q=${encodeURIComponent(query)}`);
+  const groups = Object.entries(data.groups || {}).filter(([, items]) => items.length > 0);
+  results.classList.remove('hidden');
+  if (groups.length === 0) {
+    results.innerHTML = `<p class="muted">No results for "${escapeHtml(query)}".</p>`;
+    return;
+  }
+  results.innerHTML = groups
+    .map(
+      ([key, items]) => `<div class="search-group">
+        <p class="summary-label">${SEARCH_GROUP_LABELS[key] || key}</p>
+        ${items
+          .map(
+            (item) => `<article class="session-item">
+          <div>
+            <p class="session-title">${escapeHtml(item.name)}</p>
+            <p class="session-meta">${escapeHtml(searchResultMeta(item))}</p>
+          </div>
+          <button class="${item.followed ? 'secondary' : ''}" data-action="toggle-search-follow" data-entity-type="${escapeHtml(item.type)}" data-entity-id="${escapeHtml(item.id)}" data-followed="${item.followed ? '1' : ''}">${item.followed ? 'Following' : 'Follow'}</button>
+        </article>`
+          )
+          .join('')}
+      </div>`
+    )
+    .join('');
+}
+
+$('home-search').addEventListener('input', () => {
+  if (state.homeSearchTimer) clearTimeout(state.homeSearchTimer);
+  state.homeSearchTimer = setTimeout(() => {
+    runHomeSearch().catch((err) => showMessage(err.message, true));
+  }, 250);
+});
+
+const SPORT_REQUEST_STATUS_LABELS = { pending: 'In review', approved: 'Added', rejected: 'Declined' };
+
+// The request screen lists pending requests matching the typed name, so users vote instead of
+// sending duplicates, and the user's own requests with their review status.
+async function loadSportRequests() {
+  const query = $('sport-request-name').value.trim();
+  const [open, mine] = await Promise.all([
+    api(`/api/catalog/sport-requests?q=${encodeURIComponent(query)}`),
+    api('/api/me/sport-requests'),
+  ]);
+  const openRequests = (open.requests || []).filter((request) => !request.voted);
+  $('sport-request-existing').classList.toggle('hidden', openRequests.length === 0);
+  $('sport-request-list').innerHTML = openRequests
+    .map(
+      (request) => `<article class="session-item">
+        <div>
+          <p class="session-title">${escapeHtml(request.sportName)}</p>
+          <p class="session-meta">${request.votes} ${request.votes === 1 ? 'vote' : 'votes'}</p>
+        </div>
+        <button class="secondary" data-action="vote-sport-request" data-request-id="${escapeHtml(request.id)}">Upvote</button>
+      </article>`
+    )
+    .join('');
+
+  const myRequests = mine.requests || [];
+  $('my-sport-requests-box').classList.toggle('hidden', myRequests.length === 0);
+  $('my-sport-requests').innerHTML = myRequests
+    .map(
+      (request) => `<article class="session-item">
+        <div>
+          <p class="session-title">${escapeHtml(request.sportName)}</p>
+          <p class="session-meta">${request.votes} ${request.votes === 1 ? 'vote' : 'votes'} · requested ${escapeHtml(
+            formatDateTime(request.createdAt)
+          )}${request.note ? ` · ${escapeHtml(request.note)}` : ''}</p>
+        </div>
+        <span class="status-pill status-${escapeHtml(request.status)}">${escapeHtml(SPORT_REQUEST_STATUS_LABELS[request.status] || request.status)}</span>
+      </article>`
+    )
+    .join('');
+}
+
+$('sport-request-name').addEventListener('input', () => {
+  if (state.sportRequestTimer) clearTimeout(state.sportRequestTimer);
+  state.sportRequestTimer = setTimeout(() => {
+    loadSportRequests().catch((err) => showMessage(err.message, true));
+  }, 250);
+});
+
 $('sport-request-form').addEventListener('submit', async (event) => {
   event.preventDefault();
   if (state.busy) return;
@@ -598,7 +1166,7 @@ $('sport-request-form').addEventListener('submit', async (event) => {
 
   try {
     setBusy(true);
-    await api('/api/catalog/sport-requests', {
+    const result = await api('/api/catalog/sport-requests', {
       method: 'POST',
       body: JSON.stringify({ sportName, reason }),
     });
@@ -606,7 +1174,9 @@ $('sport-request-form').addEventListener('submit', async (event) => {
     $('sport-search').value = '';
     await loadCatalog('');
     showScreen('screen-sports');
-    showMessage('Sport request submitted.');
+    if (!result.deduped) showMessage('Sport request submitted.');
+    else if (result.voted) showMessage(`${result.request.sportName} was already requested; your vote was added.`);
+    else showMessage(`You already asked for ${result.request.sportName}.`);
   } catch (err) {
     showMessage(err.message, true);
   } finally {
@@ -629,12 +1199,41 @@ document.addEventListener('click', async (event) => {
       return showScreen('screen-auth');
     }
     if (action === 'go-back') return showScreen('screen-welcome');
+    if (action === 'show-password-reset') {
+      $('reset-email').value = $('email').value.trim();
+      return showScreen('screen-password-reset-request');
+    }
     if (action === 'open-sport-request') {
       $('sport-request-name').value = $('sport-search').value.trim();
-      return showScreen('screen-sport-request');
+      showScreen('screen-sport-request');
+      return loadSportRequests();
+    }
+
+    if (action === 'vote-sport-request') {
+      const requestId = event.target.getAttribute('data-request-id');
+      if (!requestId) return;
+      await api(`/api/catalog/sport-requests/${encodeURIComponent(requestId)}/vote`, { method: 'POST' });
+      showMessage('Vote added.');
+      return loadSportRequests();
     }
     if (action === 'back-to-sports-from-request') return showScreen('screen-sports');
 
+    if (action === 'toggle-search-follow') {
+      const entityType = event.target.getAttribute('data-entity-type');
+      const entityId = event.target.getAttribute('data-entity-id');
+      if (!entityType || !entityId) return;
+      setBusy(true);
+      if (event.target.getAttribute('data-followed')) {
+        await api(`/api/me/follows/${encodeURIComponent(entityType)}/${encodeURIComponent(entityId)}`, { method: 'DELETE' });
+      } else {
+        await api('/api/me/follows', { method: 'POST', body: JSON.stringify({ entityType, entityId }) });
+      }
+      state.homeSearchDirty = true;
+      // Re-run the search: following a team also follows its sport, and unfollowing a sport drops
+      // everything under it.
+      return runHomeSearch();
+    }
+
     if (action === 'toggle-sport') {
       const sportId = event.target.getAttribute('data-sport-id');
       if (sportId) await toggleSportSelectionById(sportId);
@@ -659,6 +1258,13 @@ document.addEventListener('click', async (event) => {
       return;
     }
 
+    if (action === 'filter-teams-by-league') {
+      if (!state.activeSportEditor || !state.activeSportEditor.options) return;
+      state.activeSportEditor.teamLeagueId = event.target.getAttribute('data-league-id') || '';
+      renderSportInterestGroups(state.activeSportEditor.options);
+      return;
+    }
+
     if (action === 'back-to-sports') {
       await loadCatalog($('sport-search').value || '');
       return showScreen('screen-sports');
@@ -704,6 +1310,51 @@ document.addEventListener('click', async (event) => {
       return showScreen('screen-account');
     }
 
+    if (action === 'revoke-api-token') {
+      const tokenId = event.target.getAttribute('data-token-id');
+      if (!tokenId) return;
+      setBusy(true);
+      await api(`/api/me/tokens/${encodeURIComponent(tokenId)}`, { method: 'DELETE' });
+      $('new-token-box').classList.add('hidden');
+      await renderAccountTokens();
+      return showMessage('API token revoked.');
+    }
+
+    if (action === 'export-account') {
+      setBusy(true);
+      await downloadAccountExport();
+      return showMessage('Your data export has been downloaded.');
+    }
+
+    if (action === 'resend-verification') {
+      setBusy(true);
+      const result = await api('/api/auth/verify-email/resend', { method: 'POST' });
+      return showMessage(result.alreadyVerified ? 'Your email is already verified.' : 'Verification email sent.');
+    }
+
+    if (action === 'revoke-session') {
+      const sessionId = event.target.getAttribute('data-session-id');
+      if (!sessionId) return;
+      setBusy(true);
+      await api(`/api/me/sessions/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+      await renderAccountSessions();
+      return showMessage('Device signed out.');
+    }
+
+    if (action === 'revoke-other-sessions') {
+      setBusy(true);
+      const result = await api('/api/me/sessions/revoke-others', {
+        method: 'POST',
+        body: JSON.stringify({ revokeApiTokens: $('revoke-others-tokens').checked }),
+      });
+      await renderAccountSessions();
+      if (result.revokedTokens) await renderAccountTokens();
+      const revokedTokens = result.revokedTokens ? ` Revoked ${result.revokedTokens} API token(s).` : '';
+      return showMessage(
+        (result.revoked ? `Signed out ${result.revoked} other device(s).` : 'No other devices were signed in.') + revokedTokens
+      );
+    }
+
     if (action === 'back-home') {
       await loadHomeFeed();
       return showScreen('screen-home');
@@ -724,20 +1375,7 @@ document.addEventListener('click', async (event) => {
         // ignore
       }
 
-      disconnectHomeObserver();
-      state.user = null;
-      state.selectedSports.clear();
-      state.selectedTeams.clear();
-      state.selectedPlayers.clear();
-      state.selectedLeagues.clear();
-      state.options = [];
-      state.catalogSports = [];
-      state.homeSections = [];
-      $('auth-form').reset();
-      $('sport-search').value = '';
-      $('sport-request-form').reset();
-      setUserPill();
-      showScreen('screen-welcome');
+      resetSignedOutState();
       return showMessage('Logged out.');
     }
   } catch (err) {
@@ -747,4 +1385,33 @@ document.addEventListener('click', async (event) => {
   }
 });
 
-hydrateUser();
+function consumeResetTokenFromUrl() {
+  const match = window.location.hash.match(/^#reset=([a-f0-9]+)$/i);
+  if (!match) return false;
+  state.resetToken = match[1];
+  // Drop the token from the address bar so it doesn't linger in history.
+  window.history.replaceState(null, '', window.location.pathname);
+  showScreen('screen-password-reset-confirm');
+  return true;
+}
+
+async function consumeVerifyTokenFromUrl() {
+  const match = window.location.hash.match(/^#verify=([a-f0-9]+)$/i);
+  if (!match) return null;
+  window.history.replaceState(null, '', window.location.pathname);
+  try {
+    await api('/api/auth/verify-email', { method: 'POST', body: JSON.stringify({ token: match[1] }) });
+    return { message: 'Email verified. Thanks!', isError: false };
+  } catch (err) {
+    return { message: err.message, isError: true };
+  }
+}
+
+async function boot() {
+  if (consumeResetTokenFromUrl()) return;
+  const verification = await consumeVerifyTokenFromUrl();
+  await hydrateUser();
+  if (verification) showMessage(verification.message, verification.isError);
+}
+
+boot();
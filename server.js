@@ -4,49 +4,594 @@ const path = require('path');
 const crypto = require('crypto');
 
 const PORT = process.env.PORT || 3000;
-const DATA_FILE = path.join(__dirname, 'data', 'store.json');
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'store.json');
 const PUBLIC_DIR = path.join(__dirname, 'public');
 const SPORTSDB_BASE_URL = process.env.SPORTSDB_BASE_URL || 'https://www.thesportsdb.com/api/v1/json';
 const SPORTSDB_API_KEY = process.env.SPORTSDB_API_KEY || '3';
 const SPORTSDB_MAX_RETRIES = Number(process.env.SPORTSDB_MAX_RETRIES || 3);
-
-function readStore() {
-  const store = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-  if (!Array.isArray(store.sportRequests)) {
-    store.sportRequests = [];
+// "sportsdb" (live API) or "fixtures" (recorded catalog on disk, no network needed).
+const CATALOG_PROVIDER = process.env.CATALOG_PROVIDER || 'sportsdb';
+const CATALOG_FIXTURES_FILE = process.env.CATALOG_FIXTURES_FILE || path.join(__dirname, 'fixtures', 'catalog.json');
+// Background refresh of followed sports whose catalog is older than CATALOG_SYNC_STALE_MS (0 disables).
+const CATALOG_SYNC_INTERVAL_MS = Number(process.env.CATALOG_SYNC_INTERVAL_MS ?? 15 * 60 * 1000);
+const CATALOG_SYNC_STALE_MS = Number(process.env.CATALOG_SYNC_STALE_MS || 24 * 60 * 60 * 1000);
+const CATALOG_SYNC_RETRY_MS = 5 * 60 * 1000;
+const CATALOG_SYNC_BATCH_SIZE = 5;
+const SYNC_JOB_HISTORY_LIMIT = 100;
+const CATALOG_IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const CATALOG_IMPORT_PREVIEW_TTL_MS = 30 * 60 * 1000;
+const STORE_DRIVER = process.env.STORE_DRIVER || 'json';
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(__dirname, 'data', 'store.db');
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, 'data', 'backups');
+const SESSION_IDLE_TTL_MS = Number(process.env.SESSION_IDLE_TTL_MS || 7 * 24 * 60 * 60 * 1000);
+const SESSION_ABSOLUTE_TTL_MS = Number(process.env.SESSION_ABSOLUTE_TTL_MS || 30 * 24 * 60 * 60 * 1000);
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const APP_BASE_URL = process.env.APP_BASE_URL || `http://localhost:${PORT}`;
+const MAIL_DRIVER = process.env.MAIL_DRIVER || 'outbox';
+const MAIL_FROM = process.env.MAIL_FROM || 'Sports One <no-reply@sports-one.local>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'data', 'outbox');
+const PASSWORD_RESET_TTL_MS = Number(process.env.PASSWORD_RESET_TTL_MS || 60 * 60 * 1000);
+const EMAIL_VERIFICATION_TTL_MS = Number(process.env.EMAIL_VERIFICATION_TTL_MS || 48 * 60 * 60 * 1000);
+const EMAIL_VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+const EMAIL_VERIFICATION_MAX_PER_DAY = 5;
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+const ALLOWED_ORIGINS = String(process.env.ALLOWED_ORIGINS || '')
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
+// Unauthenticated auth flows: they don't act on an existing session, so they only get the Origin check.
+const CSRF_TOKEN_EXEMPT_PATHS = new Set([
+  '/api/auth/signup',
+  '/api/auth/login',
+  '/api/auth/password-reset/request',
+  '/api/auth/password-reset/confirm',
+  '/api/auth/verify-email',
+]);
+const AUTH_FAILURE_WINDOW_MS = 60 * 60 * 1000;
+const AUTH_LOCKOUT_BASE_MS = 30 * 1000;
+const AUTH_LOCKOUT_MAX_MS = Number(process.env.AUTH_LOCKOUT_MAX_MS || 15 * 60 * 1000);
+// Attempts allowed per window before lockouts start; each further one doubles the lockout.
+const AUTH_THROTTLE_FREE_ATTEMPTS = {
+  account: 5,
+  ip: 20,
+  signup: 10,
+  reset: 3,
+  'reset-ip': 20,
+};
+// Actions unverified users may not perform: "sport-requests", "interests" (comma separated, empty = none).
+const UNVERIFIED_RESTRICTIONS = new Set(
+  String(process.env.UNVERIFIED_RESTRICTIONS ?? 'sport-requests')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+);
+
+// Every top-level collection in the store. Lists hold rows keyed by `id`, maps hold values keyed by
+// an arbitrary string (user id, sport id, ...).
+const STORE_COLLECTIONS = {
+  users: 'list',
+  sessions: 'list',
+  sports: 'list',
+  teams: 'list',
+  players: 'list',
+  leagues: 'list',
+  follows: 'list',
+  sportRequests: 'list',
+  syncHistory: 'list',
+  auditLog: 'list',
+  playerTeamHistory: 'list',
+  teamLeagues: 'list',
+  passwordResets: 'list',
+  emailVerifications: 'list',
+  apiTokens: 'list',
+  userSportOrder: 'map',
+  authThrottles: 'map',
+  catalogSyncState: 'map',
+  feedCacheBySport: 'map',
+};
+
+function normalizeCollection(name, value) {
+  if (STORE_COLLECTIONS[name] === 'map') {
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
   }
-  if (!Array.isArray(store.sports)) {
-    store.sports = [];
-  }
-  if (!Array.isArray(store.teams)) {
-    store.teams = [];
+  return Array.isArray(value) ? value : [];
+}
+
+function assertCollection(name) {
+  if (!STORE_COLLECTIONS[name]) throw new Error(`Unknown store collection: ${name}`);
+}
+
+// Storage adapters expose the same per-collection interface:
+//   all(name)              -> whole collection (array for lists, object for maps)
+//   replace(changes, meta) -> overwrite several whole collections at once ({ name: value }), and
+//                             optionally store-level fields such as schemaVersion, atomically. The
+//                             SQLite adapter only touches the rows that differ
+//   readMeta()             -> store-level fields ({ schemaVersion, collections: names present })
+//   backup(basePath)       -> copy the underlying file next to basePath, returns the copy's path
+function createJsonStorage(filePath) {
+  let cache = null;
+  let cacheStamp = null;
+
+  function load() {
+    const stat = fs.statSync(filePath);
+    const stamp = `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+    if (!cache || cacheStamp !== stamp) {
+      cache = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      cacheStamp = stamp;
+    }
+    return cache;
   }
-  if (!Array.isArray(store.players)) {
-    store.players = [];
+
+  // Write to a temp file in the same directory and rename it over the store, so a crash mid-write
+  // leaves either the old or the new file on disk, never a truncated one.
+  function save(doc) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(doc, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    try {
+      fs.renameSync(tempPath, filePath);
+    } catch (err) {
+      fs.rmSync(tempPath, { force: true });
+      throw err;
+    }
+    cache = null;
+    cacheStamp = null;
   }
-  if (!Array.isArray(store.leagues)) {
-    store.leagues = [];
+
+  return {
+    driver: 'json',
+    all(name) {
+      assertCollection(name);
+      return normalizeCollection(name, structuredClone(load()[name]));
+    },
+    replace(changes, meta = {}) {
+      const names = Object.keys(changes);
+      if (names.length === 0 && meta.schemaVersion === undefined) return;
+      names.forEach(assertCollection);
+      let doc = fs.existsSync(filePath) ? structuredClone(load()) : {};
+      names.forEach((name) => {
+        doc[name] = changes[name];
+      });
+      if (meta.schemaVersion !== undefined) {
+        const { schemaVersion: _previous, ...rest } = doc;
+        doc = { schemaVersion: meta.schemaVersion, ...rest };
+      }
+      save(doc);
+    },
+    readMeta() {
+      const doc = fs.existsSync(filePath) ? load() : {};
+      return {
+        schemaVersion: Number(doc.schemaVersion) || 0,
+        collections: Object.keys(doc).filter((name) => STORE_COLLECTIONS[name]),
+      };
+    },
+    backup(basePath) {
+      const target = `${basePath}.json`;
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(filePath, target);
+      return target;
+    },
+  };
+}
+
+function createSqliteStorage(filePath) {
+  let DatabaseSync = null;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch (_) {
+    throw new Error('STORE_DRIVER=sqlite requires Node.js 22.5+ (built-in node:sqlite module).');
   }
-  if (!Array.isArray(store.follows)) {
-    store.follows = [];
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new DatabaseSync(filePath);
+  db.exec('PRAGMA journal_mode = WAL');
+  db.exec('CREATE TABLE IF NOT EXISTS "_meta" (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+  Object.entries(STORE_COLLECTIONS).forEach(([name, kind]) => {
+    if (kind === 'map') {
+      db.exec(`CREATE TABLE IF NOT EXISTS "${name}" (key TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+    } else {
+      db.exec(`CREATE TABLE IF NOT EXISTS "${name}" (position INTEGER NOT NULL, id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+    }
+  });
+
+  function transaction(fn) {
+    db.exec('BEGIN IMMEDIATE');
+    try {
+      fn();
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
   }
-  if (!store.userSportOrder || typeof store.userSportOrder !== 'object') {
-    store.userSportOrder = {};
+
+  // Compares the new collection with what is stored and writes only rows that were added, changed
+  // or moved, then deletes the ones that are gone, so saving one session does not rewrite 600 players.
+  function writeCollection(name, value) {
+    if (STORE_COLLECTIONS[name] === 'map') {
+      const stored = new Map(db.prepare(`SELECT key, data FROM "${name}"`).all().map((row) => [row.key, row.data]));
+      const upsert = db.prepare(`INSERT OR REPLACE INTO "${name}" (key, data) VALUES (?, ?)`);
+      Object.entries(normalizeCollection(name, value)).forEach(([key, item]) => {
+        const data = JSON.stringify(item);
+        if (stored.get(key) !== data) upsert.run(key, data);
+        stored.delete(key);
+      });
+      const remove = db.prepare(`DELETE FROM "${name}" WHERE key = ?`);
+      stored.forEach((_, key) => remove.run(key));
+      return;
+    }
+    const stored = new Map(
+      db.prepare(`SELECT id, position, data FROM "${name}"`).all().map((row) => [row.id, row])
+    );
+    const upsert = db.prepare(
+      `INSERT INTO "${name}" (position, id, data) VALUES (?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET position = excluded.position, data = excluded.data`
+    );
+    normalizeCollection(name, value).forEach((row, idx) => {
+      const id = String(row.id);
+      const data = JSON.stringify(row);
+      const previous = stored.get(id);
+      if (!previous || previous.position !== idx || previous.data !== data) upsert.run(idx, id, data);
+      stored.delete(id);
+    });
+    const remove = db.prepare(`DELETE FROM "${name}" WHERE id = ?`);
+    stored.forEach((_, id) => remove.run(id));
   }
-  if (!Array.isArray(store.syncHistory)) {
-    store.syncHistory = [];
+
+  return {
+    driver: 'sqlite',
+    all(name) {
+      assertCollection(name);
+      if (STORE_COLLECTIONS[name] === 'map') {
+        const rows = db.prepare(`SELECT key, data FROM "${name}"`).all();
+        return Object.fromEntries(rows.map((row) => [row.key, JSON.parse(row.data)]));
+      }
+      return db
+        .prepare(`SELECT data FROM "${name}" ORDER BY position`)
+        .all()
+        .map((row) => JSON.parse(row.data));
+    },
+    replace(changes, meta = {}) {
+      const names = Object.keys(changes);
+      if (names.length === 0 && meta.schemaVersion === undefined) return;
+      names.forEach(assertCollection);
+      transaction(() => {
+        names.forEach((name) => writeCollection(name, changes[name]));
+        if (meta.schemaVersion !== undefined) {
+          db.prepare('INSERT OR REPLACE INTO "_meta" (key, value) VALUES (?, ?)').run(
+            'schemaVersion',
+            String(meta.schemaVersion)
+          );
+        }
+      });
+    },
+    readMeta() {
+      const row = db.prepare('SELECT value FROM "_meta" WHERE key = ?').get('schemaVersion');
+      return { schemaVersion: row ? Number(row.value) || 0 : 0, collections: Object.keys(STORE_COLLECTIONS) };
+    },
+    backup(basePath) {
+      const target = `${basePath}.db`;
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      db.prepare('VACUUM INTO ?').run(target);
+      return target;
+    },
+  };
+}
+
+function createStorage(driver = STORE_DRIVER) {
+  if (driver === 'json') return createJsonStorage(DATA_FILE);
+  if (driver === 'sqlite') return createSqliteStorage(SQLITE_FILE);
+  throw new Error(`Unknown STORE_DRIVER "${driver}". Use "json" or "sqlite".`);
+}
+
+const storage = createStorage();
+
+const storeSnapshots = new WeakMap();
+
+// Returns a store object whose collections are loaded from the storage adapter on first access, so
+// a request only pays for the collections it actually touches. writeStore() persists the loaded
+// collections that changed since they were read.
+function readStore() {
+  const loaded = {};
+  const snapshots = {};
+  const store = {};
+  Object.keys(STORE_COLLECTIONS).forEach((name) => {
+    Object.defineProperty(store, name, {
+      enumerable: true,
+      get() {
+        if (!(name in loaded)) {
+          loaded[name] = normalizeCollection(name, storage.all(name));
+          snapshots[name] = JSON.stringify(loaded[name]);
+        }
+        return loaded[name];
+      },
+      set(value) {
+        loaded[name] = normalizeCollection(name, value);
+      },
+    });
+  });
+  storeSnapshots.set(store, { loaded, snapshots });
+  return store;
+}
+
+function writeStore(store) {
+  const { loaded, snapshots } = storeSnapshots.get(store);
+  const changes = {};
+  const nextSnapshots = {};
+  Object.keys(loaded).forEach((name) => {
+    const serialized = JSON.stringify(loaded[name]);
+    if (serialized === snapshots[name]) return;
+    changes[name] = loaded[name];
+    nextSnapshots[name] = serialized;
+  });
+  storage.replace(changes);
+  Object.assign(snapshots, nextSnapshots);
+}
+
+// Ordered, append-only list of schema changes. Each migration receives a store with every
+// collection loaded and mutates it in place; never edit a migration that has shipped, add a new one.
+const STORE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add collections introduced after the first prototype (leagues, follows, sync state, feed cache)',
+    up(store) {
+      // readStore() defaults missing collections on load; runMigrations() rewrites every collection,
+      // so the defaults end up on disk.
+      Object.keys(STORE_COLLECTIONS).forEach((name) => {
+        store[name] = normalizeCollection(name, store[name]);
+      });
+    },
+  },
+  {
+    version: 2,
+    description: 'Drop legacy single-entry feed caches in favor of per-preference cache maps',
+    up(store) {
+      Object.entries(store.feedCacheBySport).forEach(([sportId, sportCache]) => {
+        if (!sportCache || typeof sportCache !== 'object' || Array.isArray(sportCache) || sportCache.fetchedAt) {
+          delete store.feedCacheBySport[sportId];
+        }
+      });
+    },
+  },
+  {
+    version: 3,
+    description: 'Backfill session lastSeenAt and device metadata',
+    up(store) {
+      store.sessions.forEach((session) => {
+        if (!session.lastSeenAt) session.lastSeenAt = session.createdAt || new Date().toISOString();
+        if (session.userAgent === undefined) session.userAgent = null;
+        if (session.ip === undefined) session.ip = null;
+      });
+    },
+  },
+  {
+    version: 4,
+    description: 'Add emailVerifiedAt to users (existing accounts count as verified)',
+    up(store) {
+      // Accounts from before verification existed keep everything they could already do.
+      const now = new Date().toISOString();
+      store.users.forEach((user) => {
+        if (user.emailVerifiedAt === undefined) user.emailVerifiedAt = user.createdAt || now;
+      });
+    },
+  },
+  {
+    version: 5,
+    description: 'Give every session a CSRF token',
+    up(store) {
+      store.sessions.forEach((session) => {
+        if (!session.csrfToken) session.csrfToken = crypto.randomBytes(24).toString('hex');
+      });
+    },
+  },
+  {
+    version: 6,
+    description: 'Give users a roles list',
+    up(store) {
+      store.users.forEach((user) => {
+        if (!Array.isArray(user.roles)) user.roles = [];
+      });
+    },
+  },
+  {
+    version: 7,
+    description: 'Open a team history entry for every player already on a team (start date unknown)',
+    up(store) {
+      const tracked = new Set(store.playerTeamHistory.map((entry) => entry.playerId));
+      store.players.forEach((player) => {
+        if (!player.teamId || tracked.has(player.id)) return;
+        store.playerTeamHistory.push({
+          id: newId('pth'),
+          playerId: player.id,
+          teamId: player.teamId,
+          fromTeamId: null,
+          from: null,
+          to: null,
+        });
+      });
+    },
+  },
+  {
+    version: 8,
+    description: 'Give sport requests a voter list and fold duplicate pending requests for the same sport into the oldest',
+    up(store) {
+      const pendingByName = new Map();
+      [...store.sportRequests]
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+        .forEach((request) => {
+          if (!Array.isArray(request.voterIds)) request.voterIds = request.userId ? [request.userId] : [];
+          if (request.status !== 'pending') return;
+          const survivor = pendingByName.get(request.normalizedName);
+          if (!survivor) {
+            pendingByName.set(request.normalizedName, request);
+            return;
+          }
+          survivor.voterIds = [...new Set([...survivor.voterIds, ...request.voterIds])];
+          request.status = 'merged';
+          request.mergedInto = survivor.id;
+        });
+    },
+  },
+  {
+    version: 9,
+    description: 'Seed search aliases (F1, MMA, football, ...) for well-known sports without any',
+    up(store) {
+      const aliasesByName = {
+        soccer: ['Football', 'Futbol', 'Association Football'],
+        'american football': ['NFL', 'Gridiron'],
+        basketball: ['NBA', 'Hoops'],
+        baseball: ['MLB'],
+        'ice hockey': ['Hockey', 'NHL'],
+        'formula 1': ['F1', 'Formula One'],
+        'mixed martial arts': ['MMA', 'UFC'],
+        'professional wrestling': ['WWE', 'Pro Wrestling'],
+        'table tennis': ['Ping Pong'],
+        athletics: ['Track and Field'],
+        'sport climbing': ['Bouldering', 'Rock Climbing'],
+        rugby: ['Rugby Union', 'Rugby League'],
+        esports: ['Electronic Sports', 'Gaming'],
+      };
+      store.sports.forEach((sport) => {
+        const aliases = aliasesByName[normalizeName(sport.name)];
+        if (aliases && !(sport.aliases || []).length) sport.aliases = [...aliases];
+      });
+    },
+  },
+  {
+    version: 10,
+    description: 'Mark catalog entities created in the admin editor, by a bulk upsert or by an import with their source',
+    up(store) {
+      // The audit log is the only record of how an entity without a provider id was created.
+      const sourceById = new Map();
+      store.auditLog.forEach((entry) => {
+        let source = null;
+        if (/^POST \/api\/admin\/catalog\/(sports|leagues|teams|players|upsert)$/.test(entry.route)) source = 'manual';
+        else if (/^POST \/api\/admin\/catalog\/imports\/[^/]+\/commit$/.test(entry.route)) source = 'import';
+        if (!source) return;
+        entry.changes.forEach((change) => {
+          if (change.action === 'create') sourceById.set(change.entityId, source);
+        });
+      });
+      ['sports', 'leagues', 'teams', 'players'].forEach((collection) => {
+        store[collection].forEach((entity) => {
+          if (!entity.source && sourceById.has(entity.id)) entity.source = sourceById.get(entity.id);
+        });
+      });
+    },
+  },
+];
+
+const CURRENT_SCHEMA_VERSION = STORE_MIGRATIONS[STORE_MIGRATIONS.length - 1].version;
+
+// Applies pending migrations in order and rewrites every collection together with the new
+// schemaVersion. A backup of the store is taken first unless this is a dry run, which only reports
+// what would run and which collections would change.
+function runMigrations(options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  const meta = storage.readMeta();
+  const fromVersion = meta.schemaVersion;
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `Store schemaVersion ${fromVersion} is newer than this server supports (${CURRENT_SCHEMA_VERSION}).`
+    );
   }
-  if (!store.catalogSyncState || typeof store.catalogSyncState !== 'object') {
-    store.catalogSyncState = {};
+  const pending = STORE_MIGRATIONS.filter((migration) => migration.version > fromVersion);
+  if (pending.length === 0) {
+    return { fromVersion, toVersion: fromVersion, applied: [], changedCollections: [], backupPath: null, dryRun };
   }
-  if (!store.feedCacheBySport || typeof store.feedCacheBySport !== 'object') {
-    store.feedCacheBySport = {};
+
+  const store = readStore();
+  const before = {};
+  Object.keys(STORE_COLLECTIONS).forEach((name) => {
+    before[name] = JSON.stringify(store[name]);
+  });
+  pending.forEach((migration) => migration.up(store));
+  const toVersion = pending[pending.length - 1].version;
+  const applied = pending.map(({ version, description }) => ({ version, description }));
+
+  const changedCollections = Object.keys(STORE_COLLECTIONS).filter(
+    (name) => !meta.collections.includes(name) || JSON.stringify(store[name]) !== before[name]
+  );
+  if (dryRun) {
+    return { fromVersion, toVersion, applied, changedCollections, backupPath: null, dryRun };
   }
-  return store;
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = storage.backup(path.join(BACKUP_DIR, `store-v${fromVersion}-${stamp}`));
+  storage.replace(
+    Object.fromEntries(Object.keys(STORE_COLLECTIONS).map((name) => [name, store[name]])),
+    { schemaVersion: toVersion }
+  );
+  return { fromVersion, toVersion, applied, changedCollections, backupPath, dryRun };
 }
 
-function writeStore(store) {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(store, null, 2));
+let storeWriteQueue = Promise.resolve();
+
+// Serializes writers: `mutate` runs against a store read after every earlier mutation has been
+// written, and its changes are persisted before the next one starts. Whatever `mutate` returns is
+// passed through; if it throws, nothing is written.
+function mutateStore(mutate) {
+  const run = storeWriteQueue.then(async () => {
+    const store = readStore();
+    const result = await mutate(store);
+    writeStore(store);
+    return result;
+  });
+  storeWriteQueue = run.catch(() => {});
+  return run;
+}
+
+// Mailers expose send({ to, subject, text }). The outbox driver writes each message as an .eml file
+// so auth flows work offline; open the file to follow the link.
+function createOutboxMailer(outboxDir) {
+  return {
+    driver: 'outbox',
+    async send(message) {
+      fs.mkdirSync(outboxDir, { recursive: true });
+      const id = crypto.randomBytes(6).toString('hex');
+      const createdAt = new Date();
+      const fileName = `${createdAt.toISOString().replace(/[:.]/g, '-')}-${id}.eml`;
+      const raw = [
+        `From: ${MAIL_FROM}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${createdAt.toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text,
+        '',
+      ].join('\r\n');
+      fs.writeFileSync(path.join(outboxDir, fileName), raw);
+      return { id, path: path.join(outboxDir, fileName) };
+    },
+  };
+}
+
+function createConsoleMailer() {
+  return {
+    driver: 'console',
+    async send(message) {
+      console.log(`[mail] to=${message.to} subject=${JSON.stringify(message.subject)}\n${message.text}`);
+      return { id: crypto.randomBytes(6).toString('hex') };
+    },
+  };
+}
+
+function createMailer(driver = MAIL_DRIVER) {
+  if (driver === 'outbox') return createOutboxMailer(MAIL_OUTBOX_DIR);
+  if (driver === 'console') return createConsoleMailer();
+  throw new Error(`Unknown MAIL_DRIVER "${driver}". Use "outbox" or "console".`);
+}
+
+const mailer = createMailer();
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
 }
 
 function sendJson(res, statusCode, payload) {
@@ -54,26 +599,29 @@ function sendJson(res, statusCode, payload) {
   res.end(JSON.stringify(payload));
 }
 
-function parseJsonBody(req) {
+function readRequestBody(req, maxBytes = 1e6) {
   return new Promise((resolve, reject) => {
     let data = '';
     req.on('data', (chunk) => {
       data += chunk;
-      if (data.length > 1e6) {
+      if (data.length > maxBytes) {
         reject(new Error('Payload too large'));
       }
     });
-    req.on('end', () => {
-      if (!data) return resolve({});
-      try {
-        resolve(JSON.parse(data));
-      } catch (err) {
-        reject(new Error('Invalid JSON'));
-      }
-    });
+    req.on('end', () => resolve(data));
   });
 }
 
+async function parseJsonBody(req) {
+  const data = await readRequestBody(req);
+  if (!data) return {};
+  try {
+    return JSON.parse(data);
+  } catch (err) {
+    throw new Error('Invalid JSON');
+  }
+}
+
 function parseCookies(req) {
   const header = req.headers.cookie;
   if (!header) return {};
@@ -236,21 +784,293 @@ function pushSyncHistory(store, payload) {
   }
 }
 
-function upsertSportFromSportsDb(store, row) {
-  const name = String(row.strSport || '').trim();
+// Collections whose changes are written to the audit log, and which fields count (null = all).
+// Sport requests are user submissions; only their review status is audited. For users only role
+// grants count, and for login throttles only what an admin clearing a lockout changes.
+const AUDITED_COLLECTIONS = {
+  sports: { entityType: 'sport', fields: null },
+  teams: { entityType: 'team', fields: null },
+  players: { entityType: 'player', fields: null },
+  leagues: { entityType: 'league', fields: null },
+  teamLeagues: { entityType: 'team-league', fields: null },
+  sportRequests: { entityType: 'sport-request', fields: ['status'] },
+  users: { entityType: 'user', fields: ['roles'] },
+  authThrottles: { entityType: 'auth-lockout', fields: ['failures', 'lockedUntil'] },
+};
+
+// List collections are keyed by item id, map collections by their own keys.
+function auditedEntries(value) {
+  return Array.isArray(value) ? value.map((item) => [item.id, item]) : Object.entries(value);
+}
+
+function snapshotAuditedCollections(store) {
+  const snapshot = {};
+  Object.keys(AUDITED_COLLECTIONS).forEach((collection) => {
+    snapshot[collection] = new Map(auditedEntries(store[collection]).map(([id, item]) => [id, JSON.stringify(item)]));
+  });
+  return snapshot;
+}
+
+function pickFields(item, fields) {
+  if (!fields) return item;
+  return Object.fromEntries(fields.map((field) => [field, item[field] ?? null]));
+}
+
+function diffAuditedCollections(snapshot, store) {
+  const changes = [];
+  Object.entries(AUDITED_COLLECTIONS).forEach(([collection, { entityType, fields }]) => {
+    const beforeById = snapshot[collection];
+    const seen = new Set();
+    auditedEntries(store[collection]).forEach(([id, item]) => {
+      seen.add(id);
+      const previous = beforeById.get(id);
+      if (previous === undefined) {
+        if (!fields) changes.push({ entityType, entityId: id, action: 'create', before: null, after: item });
+        return;
+      }
+      if (previous === JSON.stringify(item)) return;
+      const beforeItem = JSON.parse(previous);
+      const keys = new Set([...Object.keys(beforeItem), ...Object.keys(item)]);
+      const changed = [...keys].filter(
+        (key) => (!fields || fields.includes(key)) && JSON.stringify(beforeItem[key]) !== JSON.stringify(item[key])
+      );
+      if (changed.length === 0) return;
+      changes.push({
+        entityType,
+        entityId: id,
+        action: 'update',
+        before: Object.fromEntries(changed.map((key) => [key, beforeItem[key] ?? null])),
+        after: Object.fromEntries(changed.map((key) => [key, item[key] ?? null])),
+      });
+    });
+    beforeById.forEach((previous, id) => {
+      if (seen.has(id)) return;
+      changes.push({ entityType, entityId: id, action: 'delete', before: pickFields(JSON.parse(previous), fields), after: null });
+    });
+  });
+  return changes;
+}
+
+const SYSTEM_ACTOR = { type: 'system', userId: null };
+const CLI_ACTOR = { type: 'cli', userId: null };
+
+// Who made a change and through which route. Only the user id is stored so erasing an account
+// leaves nothing personal in the log; emails are resolved when the log is read.
+function auditContext(req, user) {
+  let actor = SYSTEM_ACTOR;
+  if (user) actor = { type: 'user', userId: user.id };
+  else if (hasAdminKey(req)) actor = { type: 'admin-key', userId: null };
+  return { actor, route: `${req.method} ${new URL(req.url, 'http://localhost').pathname}` };
+}
+
+// mutateStore() that also appends an audit entry with before/after diffs of the collections above.
+// Changes outside them (e.g. sync state) can be added with the recordChange callback. Entries are
+// never edited or pruned.
+function mutateStoreAudited(audit, mutate) {
+  return mutateStore(async (store) => {
+    const snapshot = snapshotAuditedCollections(store);
+    const recorded = [];
+    const result = await mutate(store, (change) => recorded.push(change));
+    const changes = [...diffAuditedCollections(snapshot, store), ...recorded];
+    if (changes.length > 0) {
+      store.auditLog.push({
+        id: newId('aud'),
+        createdAt: new Date().toISOString(),
+        actor: audit.actor,
+        route: audit.route,
+        changes,
+      });
+    }
+    return result;
+  });
+}
+
+// Catalog providers return plain, already-normalized rows so the upsert and sync code below does not
+// care where the data comes from:
+//   listSports()               -> [{ externalId, name }]
+//   listLeagues()              -> [{ externalId, name, sport }]
+//   listTeamsByLeague(league)  -> [{ externalId, name, ...TEAM_METADATA_FIELDS }]    league: { externalId, name }
+//   listPlayersByTeam(team)    -> [{ externalId, name, ...PLAYER_METADATA_FIELDS }]  team: { externalId, name }
+//   listEventsByLeague(league) -> [{ leagueExternalId, league, title, date, time }]
+// plus an optional listTeamsByCountry(sportName, country). `source` is stored as externalSource.
+// Optional descriptive fields providers may return; missing values are null and never overwrite
+// what an earlier sync stored.
+const TEAM_METADATA_FIELDS = ['badgeUrl', 'logoUrl', 'country', 'stadium', 'foundedYear'];
+const PLAYER_METADATA_FIELDS = ['position', 'nationality', 'birthDate', 'shirtNumber'];
+
+function createSportsDbProvider() {
+  const text = (value) => String(value || '').trim();
+  const rows = (data, key) => (Array.isArray(data?.[key]) ? data[key] : []);
+  const toTeam = (row) => ({
+    externalId: text(row.idTeam) || null,
+    name: text(row.strTeam),
+    badgeUrl: text(row.strBadge || row.strTeamBadge) || null,
+    logoUrl: text(row.strLogo || row.strTeamLogo) || null,
+    country: text(row.strCountry) || null,
+    stadium: text(row.strStadium) || null,
+    foundedYear: Number(row.intFormedYear) || null,
+  });
+  const toEvent = (row) => ({
+    leagueExternalId: text(row.idLeague) || null,
+    league: text(row.strLeague) || null,
+    title: text(row.strEvent) || `${row.strHomeTeam || ''} vs ${row.strAwayTeam || ''}`.trim(),
+    date: row.dateEvent || null,
+    time: row.strTime || null,
+  });
+  return {
+    source: 'sportsdb',
+    async listSports() {
+      const data = await sportsDbGet('all_sports.php');
+      return rows(data, 'sports').map((row) => ({ externalId: text(row.idSport) || null, name: text(row.strSport) }));
+    },
+    async listLeagues() {
+      const data = await sportsDbGet('all_leagues.php');
+      return rows(data, 'leagues').map((row) => ({
+        externalId: text(row.idLeague) || null,
+        name: text(row.strLeague),
+        sport: text(row.strSport),
+      }));
+    },
+    async listTeamsByLeague(league) {
+      const data = await sportsDbGet('search_all_teams.php', { l: league.name });
+      return rows(data, 'teams').map(toTeam);
+    },
+    async listTeamsByCountry(sportName, country) {
+      const data = await sportsDbGet('search_all_teams.php', { s: sportName, c: country });
+      return rows(data, 'teams').map(toTeam);
+    },
+    async listPlayersByTeam(team) {
+      const data = await sportsDbGet('lookup_all_players.php', { id: team.externalId });
+      return rows(data, 'player').map((row) => ({
+        externalId: text(row.idPlayer) || null,
+        name: text(row.strPlayer),
+        position: text(row.strPosition) || null,
+        nationality: text(row.strNationality) || null,
+        birthDate: /^\d{4}-\d{2}-\d{2}$/.test(text(row.dateBorn)) ? text(row.dateBorn) : null,
+        shirtNumber: text(row.strNumber) || null,
+      }));
+    },
+    // Upcoming events when the league has any, otherwise the most recent results.
+    async listEventsByLeague(league) {
+      let data = null;
+      try {
+        data = await sportsDbGet('eventsnextleague.php', { id: league.externalId });
+        if (rows(data, 'events').length === 0) {
+          data = await sportsDbGet('eventspastleague.php', { id: league.externalId });
+        }
+      } catch (_) {
+        try {
+          data = await sportsDbGet('eventspastleague.php', { id: league.externalId });
+        } catch (_) {
+          data = null;
+        }
+      }
+      return rows(data, 'events').map(toEvent);
+    },
+  };
+}
+
+// Serves a recorded catalog from a JSON file (see `node server.js record-fixtures`), so development
+// and demos work without network access. The file is re-read on every call; edits apply immediately.
+function createFixturesProvider(fixturesFile) {
+  const load = () => {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(fixturesFile, 'utf8'));
+    } catch (err) {
+      throw new Error(`Catalog fixtures unavailable (${fixturesFile}): ${err.message}`);
+    }
+    const list = (key) => (Array.isArray(data[key]) ? data[key] : []);
+    return { sports: list('sports'), leagues: list('leagues'), teams: list('teams'), players: list('players'), events: list('events') };
+  };
+  const pick = (item, fields = []) =>
+    Object.fromEntries([['externalId', item.externalId], ['name', item.name], ...fields.map((field) => [field, item[field] ?? null])]);
+  return {
+    source: 'fixtures',
+    async listSports() {
+      return load().sports.map(pick);
+    },
+    async listLeagues() {
+      return load().leagues.map((league) => ({ ...pick(league), sport: league.sport }));
+    },
+    async listTeamsByLeague(league) {
+      return load()
+        .teams.filter((team) => (team.leagueIds || []).includes(league.externalId))
+        .map((team) => pick(team, TEAM_METADATA_FIELDS));
+    },
+    async listTeamsByCountry(sportName, country) {
+      const fixtures = load();
+      const leagueIds = new Set(
+        fixtures.leagues.filter((league) => normalizeName(league.sport) === normalizeName(sportName)).map((league) => league.externalId)
+      );
+      return fixtures.teams
+        .filter((team) => team.country === country && (team.leagueIds || []).some((id) => leagueIds.has(id)))
+        .map((team) => pick(team, TEAM_METADATA_FIELDS));
+    },
+    async listPlayersByTeam(team) {
+      return load()
+        .players.filter((player) => player.teamId === team.externalId)
+        .map((player) => pick(player, PLAYER_METADATA_FIELDS));
+    },
+    async listEventsByLeague(league) {
+      const fixtures = load();
+      const leagueName = fixtures.leagues.find((item) => item.externalId === league.externalId)?.name || league.name;
+      const today = new Date().toISOString().slice(0, 10);
+      const events = fixtures.events
+        .filter((event) => event.leagueId === league.externalId)
+        .map((event) => ({
+          leagueExternalId: event.leagueId,
+          league: leagueName,
+          title: event.title,
+          date: event.date || null,
+          time: event.time || null,
+        }));
+      const upcoming = events.filter((event) => !event.date || event.date >= today).sort((a, b) => String(a.date).localeCompare(String(b.date)));
+      if (upcoming.length > 0) return upcoming;
+      return events.sort((a, b) => String(b.date).localeCompare(String(a.date)));
+    },
+  };
+}
+
+function createCatalogProvider(name) {
+  if (name === 'sportsdb') return createSportsDbProvider();
+  if (name === 'fixtures') return createFixturesProvider(CATALOG_FIXTURES_FILE);
+  throw new Error(`Unknown CATALOG_PROVIDER "${name}". Use "sportsdb" or "fixtures".`);
+}
+
+const catalogProvider = createCatalogProvider(CATALOG_PROVIDER);
+
+function applyMetadata(entity, row, fields) {
+  fields.forEach((field) => {
+    if (row[field] !== undefined && row[field] !== null && row[field] !== '') entity[field] = row[field];
+  });
+}
+
+// Names absorbed by merges are kept as aliases so later upserts land on the survivor.
+function matchesName(entity, normalized) {
+  return normalizeName(entity.name) === normalized || (entity.aliases || []).some((alias) => normalizeName(alias) === normalized);
+}
+
+// Re-tags an entity with the provider id it was matched by. An entity that already has an id from
+// this provider keeps it, so a merged survivor is not flipped to the id of the duplicate it absorbed.
+function tagExternal(entity, source, externalId) {
+  if (!externalId || (entity.externalId && entity.externalSource === source)) return;
+  entity.externalSource = source;
+  entity.externalId = externalId;
+}
+
+function upsertSportFromProvider(store, source, row) {
+  const name = String(row.name || '').trim();
   if (!name) return null;
-  const externalId = String(row.idSport || '').trim() || null;
+  const externalId = row.externalId || null;
   const normalized = normalizeName(name);
   const existing = store.sports.find(
     (sport) =>
-      (externalId && sport.externalId === externalId && sport.externalSource === 'sportsdb') ||
-      normalizeName(sport.name) === normalized
+      (externalId && sport.externalId === externalId && sport.externalSource === source) ||
+      matchesName(sport, normalized)
   );
   if (existing) {
-    if (externalId) {
-      existing.externalSource = 'sportsdb';
-      existing.externalId = externalId;
-    }
+    tagExternal(existing, source, externalId);
     return existing;
   }
 
@@ -272,33 +1092,30 @@ function upsertSportFromSportsDb(store, row) {
     name,
     slug: slugify(name),
     isPopular: popular.has(normalized),
-    externalSource: externalId ? 'sportsdb' : undefined,
+    externalSource: externalId ? source : undefined,
     externalId: externalId || undefined,
   };
   store.sports.push(sport);
   return sport;
 }
 
-function upsertLeagueFromSportsDb(store, row) {
-  const name = String(row.strLeague || '').trim();
-  const sportName = String(row.strSport || '').trim();
+function upsertLeagueFromProvider(store, source, row) {
+  const name = String(row.name || '').trim();
+  const sportName = String(row.sport || '').trim();
   if (!name || !sportName) return null;
 
   const sport = store.sports.find((item) => normalizeName(item.name) === normalizeName(sportName));
   if (!sport) return null;
 
-  const externalId = String(row.idLeague || '').trim() || null;
+  const externalId = row.externalId || null;
   const existing = store.leagues.find(
     (league) =>
       league.sportId === sport.id &&
-      ((externalId && league.externalId === externalId && league.externalSource === 'sportsdb') ||
+      ((externalId && league.externalId === externalId && league.externalSource === source) ||
         normalizeName(league.name) === normalizeName(name))
   );
   if (existing) {
-    if (externalId) {
-      existing.externalSource = 'sportsdb';
-      existing.externalId = externalId;
-    }
+    tagExternal(existing, source, externalId);
     return existing;
   }
 
@@ -307,28 +1124,26 @@ function upsertLeagueFromSportsDb(store, row) {
     sportId: sport.id,
     name,
     slug: slugify(name),
-    externalSource: externalId ? 'sportsdb' : undefined,
+    externalSource: externalId ? source : undefined,
     externalId: externalId || undefined,
   };
   store.leagues.push(league);
   return league;
 }
 
-function upsertTeamFromSportsDb(store, sportId, row) {
-  const name = String(row.strTeam || '').trim();
+function upsertTeamFromProvider(store, source, sportId, row) {
+  const name = String(row.name || '').trim();
   if (!name) return null;
-  const externalId = String(row.idTeam || '').trim() || null;
+  const externalId = row.externalId || null;
   const existing = store.teams.find(
     (team) =>
       team.sportId === sportId &&
-      ((externalId && team.externalId === externalId && team.externalSource === 'sportsdb') ||
-        normalizeName(team.name) === normalizeName(name))
+      ((externalId && team.externalId === externalId && team.externalSource === source) ||
+        matchesName(team, normalizeName(name)))
   );
   if (existing) {
-    if (externalId) {
-      existing.externalSource = 'sportsdb';
-      existing.externalId = externalId;
-    }
+    tagExternal(existing, source, externalId);
+    applyMetadata(existing, row, TEAM_METADATA_FIELDS);
     return existing;
   }
   const team = {
@@ -336,52 +1151,150 @@ function upsertTeamFromSportsDb(store, sportId, row) {
     sportId,
     name,
     slug: slugify(name),
-    externalSource: externalId ? 'sportsdb' : undefined,
+    externalSource: externalId ? source : undefined,
     externalId: externalId || undefined,
   };
+  applyMetadata(team, row, TEAM_METADATA_FIELDS);
   store.teams.push(team);
   return team;
 }
 
-function upsertPlayerFromSportsDb(store, sportId, teamId, row) {
-  const name = String(row.strPlayer || '').trim();
+// Team–league membership is many-to-many (a club plays in its domestic league and in cups), so it is
+// kept in teamLeagues rather than on the team. `source` is the provider or 'admin'.
+function addTeamToLeague(store, teamId, leagueId, source) {
+  if (store.teamLeagues.some((entry) => entry.teamId === teamId && entry.leagueId === leagueId)) return false;
+  store.teamLeagues.push({ id: newId('tml'), teamId, leagueId, source, createdAt: new Date().toISOString() });
+  return true;
+}
+
+function getTeamLeagueIds(store, teamId) {
+  return store.teamLeagues.filter((entry) => entry.teamId === teamId).map((entry) => entry.leagueId);
+}
+
+// Moves a player to a team and records it in playerTeamHistory: the open entry is closed and a new
+// one starts now. `fromTeamId` is the previous team, so entries with one are transfers.
+function movePlayerToTeam(store, player, teamId) {
+  if (!teamId || player.teamId === teamId) return false;
+  const now = new Date().toISOString();
+  const open = store.playerTeamHistory.find((entry) => entry.playerId === player.id && !entry.to);
+  if (open) open.to = now;
+  store.playerTeamHistory.push({
+    id: newId('pth'),
+    playerId: player.id,
+    teamId,
+    fromTeamId: player.teamId || null,
+    from: now,
+    to: null,
+  });
+  player.teamId = teamId;
+  return true;
+}
+
+const TRANSFER_NOTICE_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Recent transfers touching something the user follows: the player itself or either team.
+function getTransferNotices(store, interests, now = Date.now()) {
+  const playerIds = new Set(interests.playerIds);
+  const teamIds = new Set(interests.teamIds);
+  const teamName = (teamId) => store.teams.find((team) => team.id === teamId)?.name || null;
+  return store.playerTeamHistory
+    .filter((entry) => entry.fromTeamId && entry.from && now - new Date(entry.from).getTime() <= TRANSFER_NOTICE_WINDOW_MS)
+    .filter((entry) => playerIds.has(entry.playerId) || teamIds.has(entry.teamId) || teamIds.has(entry.fromTeamId))
+    .map((entry) => {
+      const player = store.players.find((item) => item.id === entry.playerId);
+      if (!player || player.archivedAt) return null;
+      return {
+        type: 'transfer',
+        playerId: player.id,
+        playerName: player.name,
+        fromTeam: { id: entry.fromTeamId, name: teamName(entry.fromTeamId) },
+        toTeam: { id: entry.teamId, name: teamName(entry.teamId) },
+        date: entry.from,
+        followed: playerIds.has(player.id) ? 'player' : 'team',
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, 10);
+}
+
+// Players share names far more often than teams do, so only a matching provider id says this is the
+// same person and may move them to another team. A name only claims a player this provider has not
+// tagged yet who is on no team or already on this one; anyone else is a different player.
+function upsertPlayerFromProvider(store, source, sportId, teamId, row) {
+  const name = String(row.name || '').trim();
   if (!name) return null;
-  const externalId = String(row.idPlayer || '').trim() || null;
-  const existing = store.players.find(
+  const externalId = row.externalId || null;
+  const byExternalId =
+    externalId &&
+    store.players.find(
+      (player) => player.sportId === sportId && player.externalId === externalId && player.externalSource === source
+    );
+  if (byExternalId) {
+    movePlayerToTeam(store, byExternalId, teamId);
+    applyMetadata(byExternalId, row, PLAYER_METADATA_FIELDS);
+    return byExternalId;
+  }
+  const byName = store.players.find(
     (player) =>
       player.sportId === sportId &&
-      ((externalId && player.externalId === externalId && player.externalSource === 'sportsdb') ||
-        normalizeName(player.name) === normalizeName(name))
+      !(player.externalId && player.externalSource === source) &&
+      (!player.teamId || player.teamId === teamId) &&
+      matchesName(player, normalizeName(name))
   );
-  if (existing) {
-    if (externalId) {
-      existing.externalSource = 'sportsdb';
-      existing.externalId = externalId;
-    }
-    if (teamId) existing.teamId = teamId;
-    return existing;
+  if (byName) {
+    tagExternal(byName, source, externalId);
+    movePlayerToTeam(store, byName, teamId);
+    applyMetadata(byName, row, PLAYER_METADATA_FIELDS);
+    return byName;
   }
   const player = {
     id: `pl_${crypto.randomBytes(4).toString('hex')}`,
     sportId,
-    teamId: teamId || null,
+    teamId: null,
     name,
-    externalSource: externalId ? 'sportsdb' : undefined,
+    externalSource: externalId ? source : undefined,
     externalId: externalId || undefined,
   };
+  applyMetadata(player, row, PLAYER_METADATA_FIELDS);
+  movePlayerToTeam(store, player, teamId);
   store.players.push(player);
   return player;
 }
 
-function getRealCatalogForSport(store, sportId) {
+const CATALOG_EDITOR_SOURCES = new Set(['manual', 'import']);
+
+function isProviderEntity(item) {
+  return Boolean(item.externalSource && item.externalId);
+}
+
+// The catalog users see: provider-backed entities, whichever provider they came from, and ones an
+// editor created by hand, upserted or imported (`source`). Archived entities, and unsourced rows
+// from before sources were recorded, are left out.
+function isListedCatalogEntity(item) {
+  return !item.archivedAt && (isProviderEntity(item) || CATALOG_EDITOR_SOURCES.has(item.source));
+}
+
+function getRealCatalogForSport(store, sportId, isReal = isListedCatalogEntity) {
+  const inSport = (item) => item.sportId === sportId && isReal(item);
   return {
-    teams: store.teams.filter((team) => team.sportId === sportId && team.externalSource === 'sportsdb' && team.externalId),
-    players: store.players.filter((player) => player.sportId === sportId && player.externalSource === 'sportsdb' && player.externalId),
-    leagues: store.leagues.filter((league) => league.sportId === sportId && league.externalSource === 'sportsdb' && league.externalId),
+    teams: store.teams.filter(inSport),
+    players: store.players.filter(inSport),
+    leagues: store.leagues.filter(inSport),
   };
 }
 
-async function syncSportCatalogFromSportsDb(store, sportId, options = {}) {
+// Only provider data tells the sync how far it got; hand-made entities do not stand in for it.
+function getProviderCatalogForSport(store, sportId) {
+  return getRealCatalogForSport(store, sportId, (item) => !item.archivedAt && isProviderEntity(item));
+}
+
+// Provider calls run outside the store lock. What they return is applied in short batches through
+// `options.apply` (one per league, country or team), and each batch saves the crawl cursor, so
+// requests never wait on a slow provider and an interrupted run resumes where it stopped.
+async function syncSportCatalog(sportId, options = {}) {
+  const provider = options.provider || catalogProvider;
+  const apply = options.apply || mutateStore;
   const force = Boolean(options.force);
   const maxTeams = Number(options.maxTeams || 120);
   const maxLeagues = Number(options.maxLeagues || 8);
@@ -389,6 +1302,7 @@ async function syncSportCatalogFromSportsDb(store, sportId, options = {}) {
   const maxPlayerTeams = Number(options.maxPlayerTeams || 24);
   const maxDurationMs = Number(options.maxDurationMs || 12000);
   const cooldownMs = Number(options.cooldownMs || 15 * 60 * 1000);
+  const store = readStore();
   const sport = store.sports.find((item) => item.id === sportId);
   if (!sport) {
     return { ok: false, reason: 'sport_not_found', createdTeams: 0, createdPlayers: 0, createdLeagues: 0 };
@@ -396,190 +1310,387 @@ async function syncSportCatalogFromSportsDb(store, sportId, options = {}) {
 
   const state = store.catalogSyncState[sportId] || {};
   const now = Date.now();
-  const existingCatalog = getRealCatalogForSport(store, sportId);
+  const existingCatalog = getProviderCatalogForSport(store, sportId);
   const needsEnrichment = existingCatalog.teams.length < 40 || existingCatalog.players.length < 80;
-  if (!force && state.lastSuccessAt && now - new Date(state.lastSuccessAt).getTime() < cooldownMs && !needsEnrichment) {
+  const isCoolingDown = state.lastSuccessAt && now - new Date(state.lastSuccessAt).getTime() < cooldownMs;
+  if (!force && isCoolingDown && !needsEnrichment && !state.cursor) {
     return { ok: true, skipped: true, createdTeams: 0, createdPlayers: 0, createdLeagues: 0 };
   }
 
   let createdTeams = 0;
   let createdPlayers = 0;
   let createdLeagues = 0;
+  let createdMemberships = 0;
   let touchedTeams = 0;
   let touchedPlayerTeams = 0;
   const startedAt = Date.now();
   const isTimeUp = () => Date.now() - startedAt >= maxDurationMs;
+  // The sport can be deleted while the provider is being crawled; stop instead of writing orphans.
+  const batch = (mutate) =>
+    apply((latest) => {
+      if (!latest.sports.some((item) => item.id === sportId)) throw new Error('Sport was deleted during the sync.');
+      return mutate(latest);
+    });
 
   try {
-    const leaguesData = await sportsDbGet('all_leagues.php');
-    const allLeagues = Array.isArray(leaguesData?.leagues) ? leaguesData.leagues : [];
-    allLeagues
-      .filter((row) => normalizeName(row.strSport) === normalizeName(sport.name))
-      .forEach((row) => {
-        const before = store.leagues.length;
-        upsertLeagueFromSportsDb(store, row);
-        if (store.leagues.length > before) createdLeagues += 1;
-      });
+    const allLeagues = await provider.listLeagues();
+    const sportLeagues = await batch((latest) => {
+      allLeagues
+        .filter((row) => normalizeName(row.sport) === normalizeName(sport.name))
+        .forEach((row) => {
+          const before = latest.leagues.length;
+          upsertLeagueFromProvider(latest, provider.source, row);
+          if (latest.leagues.length > before) createdLeagues += 1;
+        });
+      return latest.leagues.filter(
+        (league) => league.sportId === sportId && league.externalSource === provider.source && league.externalId
+      );
+    });
 
-    const sportLeagues = store.leagues
-      .filter((league) => league.sportId === sportId && league.externalSource === 'sportsdb' && league.externalId)
-      .slice(0, maxLeagues);
+    // A crawl walks every league of the sport, then fetches players for teams that were skipped
+    // because the per-run player budget ran out. Runs stop on time or budget limits and leave a
+    // cursor so the next run picks up where this one ended.
+    const cursor = state.cursor || { leagueIndex: 0, teamIndex: 0, playersFetched: [], startedAt: new Date().toISOString() };
+    const playersFetched = new Set(cursor.playersFetched);
+    let { leagueIndex, teamIndex } = cursor;
+    let leaguesVisited = 0;
+    let stopped = false;
     const seenTeamExternalIds = new Set();
+    const currentCursor = () => ({ leagueIndex, teamIndex, playersFetched: [...playersFetched], startedAt: cursor.startedAt });
+    const saveCursor = (latest) => {
+      latest.catalogSyncState[sportId] = { ...(latest.catalogSyncState[sportId] || {}), cursor: currentCursor() };
+    };
+
+    const fetchPlayers = async (team) => {
+      touchedPlayerTeams += 1;
+      try {
+        const players = await provider.listPlayersByTeam(team);
+        playersFetched.add(team.externalId);
+        return players.slice(0, playersPerTeamCap);
+      } catch (_) {
+        return null;
+      }
+    };
+    const applyPlayers = (latest, team, players) => {
+      players.forEach((playerRow) => {
+        const beforePlayers = latest.players.length;
+        upsertPlayerFromProvider(latest, provider.source, sportId, team.id, playerRow);
+        if (latest.players.length > beforePlayers) createdPlayers += 1;
+      });
+    };
 
-    for (const league of sportLeagues) {
-      if (isTimeUp()) break;
+    while (leagueIndex < sportLeagues.length) {
+      if (isTimeUp() || leaguesVisited >= maxLeagues || touchedTeams >= maxTeams) {
+        stopped = true;
+        break;
+      }
+      const league = sportLeagues[leagueIndex];
       let teams = [];
       try {
-        const teamsData = await sportsDbGet('search_all_teams.php', { l: league.name });
-        teams = Array.isArray(teamsData?.teams) ? teamsData.teams : [];
+        teams = await provider.listTeamsByLeague(league);
       } catch (_) {
         teams = [];
       }
-      for (const teamRow of teams) {
-        if (isTimeUp()) break;
-        const teamExternalId = String(teamRow.idTeam || '').trim();
-        if (teamExternalId && seenTeamExternalIds.has(teamExternalId)) continue;
-        if (teamExternalId) seenTeamExternalIds.add(teamExternalId);
-        if (touchedTeams >= maxTeams) break;
-
-        const beforeTeams = store.teams.length;
-        const team = upsertTeamFromSportsDb(store, sportId, teamRow);
-        if (!team) continue;
-        touchedTeams += 1;
-        if (store.teams.length > beforeTeams) createdTeams += 1;
-
-        if (!team.externalId || touchedPlayerTeams >= maxPlayerTeams) continue;
-        let players = [];
-        try {
-          const playersData = await sportsDbGet('lookup_all_players.php', { id: team.externalId });
-          players = Array.isArray(playersData?.player) ? playersData.player : [];
-        } catch (_) {
-          players = [];
+      leaguesVisited += 1;
+      const fetched = [];
+      for (; teamIndex < teams.length; teamIndex += 1) {
+        if (isTimeUp() || touchedTeams >= maxTeams) {
+          stopped = true;
+          break;
         }
-        if (players.length > 0) {
-          touchedPlayerTeams += 1;
-          players.slice(0, playersPerTeamCap).forEach((playerRow) => {
-            const beforePlayers = store.players.length;
-            upsertPlayerFromSportsDb(store, sportId, team.id, playerRow);
-            if (store.players.length > beforePlayers) createdPlayers += 1;
-          });
+        const teamRow = teams[teamIndex];
+        const teamExternalId = teamRow.externalId;
+        if (teamExternalId && seenTeamExternalIds.has(teamExternalId)) {
+          // Already upserted from another league this run; only record that it plays here too.
+          fetched.push({ teamRow, seen: true });
+          continue;
         }
+        if (teamExternalId) seenTeamExternalIds.add(teamExternalId);
+        if (!String(teamRow.name || '').trim()) continue;
+        touchedTeams += 1;
+        const players =
+          teamExternalId && !playersFetched.has(teamExternalId) && touchedPlayerTeams < maxPlayerTeams
+            ? await fetchPlayers(teamRow)
+            : null;
+        fetched.push({ teamRow, players });
+      }
+      if (!stopped) {
+        leagueIndex += 1;
+        teamIndex = 0;
       }
-      if (touchedTeams >= maxTeams) break;
+      await batch((latest) => {
+        const leagueExists = latest.leagues.some((item) => item.id === league.id);
+        fetched.forEach(({ teamRow, seen, players }) => {
+          if (seen) {
+            const existing = latest.teams.find(
+              (team) => team.sportId === sportId && team.externalSource === provider.source && team.externalId === teamRow.externalId
+            );
+            if (existing && leagueExists && addTeamToLeague(latest, existing.id, league.id, provider.source)) createdMemberships += 1;
+            return;
+          }
+          const beforeTeams = latest.teams.length;
+          const team = upsertTeamFromProvider(latest, provider.source, sportId, teamRow);
+          if (latest.teams.length > beforeTeams) createdTeams += 1;
+          if (leagueExists && addTeamToLeague(latest, team.id, league.id, provider.source)) createdMemberships += 1;
+          if (players) applyPlayers(latest, team, players);
+        });
+        saveCursor(latest);
+      });
+      if (stopped) break;
     }
 
     // Soccer fallback: if league-based team lookup is sparse, broaden by country to increase options.
-    if (normalizeName(sport.name) === 'soccer' && touchedTeams < Math.min(maxTeams, 40)) {
+    // Only on the run that finishes the league pass, not on every resumed players-only run.
+    if (!stopped && (leaguesVisited > 0 || !state.cursor) && provider.listTeamsByCountry && normalizeName(sport.name) === 'soccer' && touchedTeams < Math.min(maxTeams, 40)) {
       const popularCountries = ['England', 'Spain', 'Germany', 'Italy', 'France', 'Netherlands', 'Portugal', 'Brazil'];
       for (const country of popularCountries) {
         if (isTimeUp()) break;
         if (touchedTeams >= maxTeams) break;
         let teams = [];
         try {
-          const countryData = await sportsDbGet('search_all_teams.php', { s: sport.name, c: country });
-          teams = Array.isArray(countryData?.teams) ? countryData.teams : [];
+          teams = await provider.listTeamsByCountry(sport.name, country);
         } catch (_) {
           teams = [];
         }
+        const fetched = [];
         for (const teamRow of teams) {
           if (isTimeUp()) break;
-          const teamExternalId = String(teamRow.idTeam || '').trim();
+          const teamExternalId = teamRow.externalId;
           if (teamExternalId && seenTeamExternalIds.has(teamExternalId)) continue;
           if (teamExternalId) seenTeamExternalIds.add(teamExternalId);
           if (touchedTeams >= maxTeams) break;
-
-          const beforeTeams = store.teams.length;
-          const team = upsertTeamFromSportsDb(store, sportId, teamRow);
-          if (!team) continue;
+          if (!String(teamRow.name || '').trim()) continue;
           touchedTeams += 1;
-          if (store.teams.length > beforeTeams) createdTeams += 1;
+          fetched.push(teamRow);
         }
+        await batch((latest) => {
+          fetched.forEach((teamRow) => {
+            const beforeTeams = latest.teams.length;
+            upsertTeamFromProvider(latest, provider.source, sportId, teamRow);
+            if (latest.teams.length > beforeTeams) createdTeams += 1;
+          });
+        });
       }
     }
 
-    const real = getRealCatalogForSport(store, sportId);
-    const hasEntityData = real.teams.length > 0 || real.players.length > 0;
-    const hasData = hasEntityData || real.leagues.length > 0;
-    const timedOut = isTimeUp();
-    const status = timedOut ? 'partial' : hasEntityData ? 'ok' : hasData ? 'partial' : 'no_data';
-    store.catalogSyncState[sportId] = {
-      lastAttemptAt: new Date().toISOString(),
-      lastSuccessAt: hasData ? new Date().toISOString() : state.lastSuccessAt || null,
-      status,
-      timedOut,
-      touchedTeams,
-      touchedPlayerTeams,
-      createdTeams,
-      createdPlayers,
-      createdLeagues,
-    };
-    pushSyncHistory(store, {
-      source: 'sportsdb',
-      type: 'catalog',
-      status,
-      sportId,
-      timedOut,
-      touchedTeams,
-      touchedPlayerTeams,
-      createdTeams,
-      createdPlayers,
-      createdLeagues,
+    if (!stopped) {
+      const pendingPlayerTeams = readStore().teams.filter(
+        (team) =>
+          team.sportId === sportId &&
+          team.externalSource === provider.source &&
+          team.externalId &&
+          !playersFetched.has(team.externalId)
+      );
+      for (const team of pendingPlayerTeams) {
+        if (isTimeUp() || touchedPlayerTeams >= maxPlayerTeams) {
+          stopped = true;
+          break;
+        }
+        const players = await fetchPlayers(team);
+        if (!players) continue;
+        await batch((latest) => {
+          const current = latest.teams.find((item) => item.id === team.id);
+          if (current) applyPlayers(latest, current, players);
+          saveCursor(latest);
+        });
+      }
+    }
+
+    return await batch((latest) => {
+      const provided = getProviderCatalogForSport(latest, sportId);
+      const hasEntityData = provided.teams.length > 0 || provided.players.length > 0;
+      const hasData = hasEntityData || provided.leagues.length > 0;
+      const timedOut = isTimeUp();
+      const status = stopped ? 'partial' : hasEntityData ? 'ok' : hasData ? 'partial' : 'no_data';
+      const nextCursor = stopped ? currentCursor() : null;
+      latest.catalogSyncState[sportId] = {
+        lastAttemptAt: new Date().toISOString(),
+        lastSuccessAt: hasData ? new Date().toISOString() : state.lastSuccessAt || null,
+        lastCompletedAt: stopped ? state.lastCompletedAt || null : new Date().toISOString(),
+        status,
+        timedOut,
+        touchedTeams,
+        touchedPlayerTeams,
+        createdTeams,
+        createdPlayers,
+        createdLeagues,
+        createdMemberships,
+        cursor: nextCursor,
+      };
+      pushSyncHistory(latest, {
+        source: provider.source,
+        type: 'catalog',
+        status,
+        sportId,
+        timedOut,
+        resumable: Boolean(nextCursor),
+        touchedTeams,
+        touchedPlayerTeams,
+        createdTeams,
+        createdPlayers,
+        createdLeagues,
+        createdMemberships,
+      });
+      return { ok: true, status, timedOut, resumable: Boolean(nextCursor), createdTeams, createdPlayers, createdLeagues, createdMemberships, touchedTeams };
     });
-    return { ok: true, status, timedOut, createdTeams, createdPlayers, createdLeagues, touchedTeams };
   } catch (err) {
-    store.catalogSyncState[sportId] = {
-      lastAttemptAt: new Date().toISOString(),
-      lastSuccessAt: state.lastSuccessAt || null,
-      status: 'error',
-      error: err.message,
-      touchedTeams,
-      touchedPlayerTeams,
-      createdTeams,
-      createdPlayers,
-      createdLeagues,
-    };
-    pushSyncHistory(store, {
-      source: 'sportsdb',
-      type: 'catalog',
-      status: 'error',
-      sportId,
-      error: err.message,
+    await apply((latest) => {
+      const previous = latest.catalogSyncState[sportId] || {};
+      if (latest.sports.some((item) => item.id === sportId)) {
+        latest.catalogSyncState[sportId] = {
+          lastAttemptAt: new Date().toISOString(),
+          lastSuccessAt: state.lastSuccessAt || null,
+          lastCompletedAt: state.lastCompletedAt || null,
+          status: 'error',
+          error: err.message,
+          touchedTeams,
+          touchedPlayerTeams,
+          createdTeams,
+          createdPlayers,
+          createdLeagues,
+          cursor: previous.cursor || null,
+        };
+      }
+      pushSyncHistory(latest, {
+        source: provider.source,
+        type: 'catalog',
+        status: 'error',
+        sportId,
+        error: err.message,
+      });
     });
     return { ok: false, reason: 'provider_error', error: err.message, createdTeams, createdPlayers, createdLeagues, touchedTeams, touchedPlayerTeams };
   }
 }
 
-async function fetchSportHighlightsFromSportsDb(store, sportId, limit = 3, preferredLeagueIds = []) {
-  const preferredSet = new Set(preferredLeagueIds);
-  const allSportLeagues = store.leagues.filter(
-    (league) => league.sportId === sportId && league.externalSource === 'sportsdb' && league.externalId
-  );
-  const sportLeagues =
-    preferredSet.size > 0
-      ? allSportLeagues.filter((league) => preferredSet.has(league.id))
-      : allSportLeagues;
+// In-process catalog sync queue. Jobs run one at a time so provider rate limits are respected; a sport
+// with a queued or running job is never enqueued twice, the existing job is returned instead.
+// Jobs live in memory only: the last SYNC_JOB_HISTORY_LIMIT are kept for the admin status endpoint.
+const syncJobs = [];
+const syncScheduler = { lastRunAt: null, nextRunAt: null, lastEnqueued: 0 };
+let syncQueueDraining = false;
+
+function findActiveSyncJob(sportId) {
+  return syncJobs.find((job) => job.sportId === sportId && (job.status === 'queued' || job.status === 'running'));
+}
+
+function publicSyncJob(job) {
+  const { audit, options: _options, ...rest } = job;
+  return { ...rest, requestedBy: audit.actor };
+}
+
+function enqueueCatalogSync(sportId, { reason, audit, options = {} }) {
+  const active = findActiveSyncJob(sportId);
+  if (active) return active;
+  const job = {
+    id: newId('job'),
+    sportId,
+    reason,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    audit,
+    options: { ...options, force: true },
+  };
+  syncJobs.push(job);
+  while (syncJobs.length > SYNC_JOB_HISTORY_LIMIT) {
+    const finishedIndex = syncJobs.findIndex((item) => item.status === 'done' || item.status === 'failed');
+    if (finishedIndex === -1) break;
+    syncJobs.splice(finishedIndex, 1);
+  }
+  setImmediate(drainSyncQueue);
+  return job;
+}
+
+async function drainSyncQueue() {
+  if (syncQueueDraining) return;
+  syncQueueDraining = true;
+  try {
+    let job = syncJobs.find((item) => item.status === 'queued');
+    while (job) {
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+      try {
+        const current = job;
+        const result = await syncSportCatalog(current.sportId, {
+          ...current.options,
+          apply: (mutate) => mutateStoreAudited(current.audit, mutate),
+        });
+        job.result = result;
+        job.status = result.ok ? 'done' : 'failed';
+        job.error = result.ok ? null : result.error || result.reason;
+      } catch (err) {
+        job.status = 'failed';
+        job.error = err.message;
+      }
+      job.finishedAt = new Date().toISOString();
+      job = syncJobs.find((item) => item.status === 'queued');
+    }
+  } finally {
+    syncQueueDraining = false;
+  }
+}
+
+// Followed sports with an unfinished crawl or whose last successful sync is older than
+// CATALOG_SYNC_STALE_MS, stalest first. Sports attempted recently are skipped so a provider without
+// data is not hammered.
+function enqueueStaleCatalogSyncs(now = Date.now()) {
+  const store = readStore();
+  const followedSportIds = new Set(store.follows.filter((f) => f.entityType === 'sport').map((f) => f.entityId));
+  const lastSuccess = (sportId) => new Date((store.catalogSyncState[sportId] || {}).lastSuccessAt || 0).getTime();
+  const lastAttempt = (sportId) => new Date((store.catalogSyncState[sportId] || {}).lastAttemptAt || 0).getTime();
+  const stale = store.sports
+    .filter((sport) => followedSportIds.has(sport.id) && !sport.archivedAt)
+    .filter((sport) => {
+      const isStale = now - lastSuccess(sport.id) > CATALOG_SYNC_STALE_MS || Boolean((store.catalogSyncState[sport.id] || {}).cursor);
+      return isStale && now - lastAttempt(sport.id) > CATALOG_SYNC_RETRY_MS;
+    })
+    .sort((a, b) => lastSuccess(a.id) - lastSuccess(b.id))
+    .slice(0, CATALOG_SYNC_BATCH_SIZE);
+  syncScheduler.lastRunAt = new Date(now).toISOString();
+  syncScheduler.lastEnqueued = stale.length;
+  return stale.map((sport) => enqueueCatalogSync(sport.id, { reason: 'scheduled', audit: { actor: SYSTEM_ACTOR, route: 'scheduler' } }));
+}
+
+function startCatalogSyncScheduler() {
+  if (!(CATALOG_SYNC_INTERVAL_MS > 0)) return;
+  const tick = () => {
+    syncScheduler.nextRunAt = new Date(Date.now() + CATALOG_SYNC_INTERVAL_MS).toISOString();
+    try {
+      enqueueStaleCatalogSyncs();
+    } catch (err) {
+      console.error(`Catalog sync scheduler failed: ${err.message}`);
+    }
+  };
+  setInterval(tick, CATALOG_SYNC_INTERVAL_MS).unref();
+  syncScheduler.nextRunAt = new Date(Date.now() + CATALOG_SYNC_INTERVAL_MS).toISOString();
+}
+
+async function fetchSportHighlights(store, sportId, limit = 3, preferredLeagueIds = []) {
+  const preferredSet = new Set(preferredLeagueIds);
+  const allSportLeagues = store.leagues.filter(
+    (league) => league.sportId === sportId && league.externalSource === catalogProvider.source && league.externalId
+  );
+  const sportLeagues =
+    preferredSet.size > 0
+      ? allSportLeagues.filter((league) => preferredSet.has(league.id))
+      : allSportLeagues;
   if (sportLeagues.length === 0) return [];
 
   const highlights = [];
   for (const league of sportLeagues.slice(0, 2)) {
-    let data = null;
+    let events = [];
     try {
-      data = await sportsDbGet('eventsnextleague.php', { id: league.externalId });
-      const hasEvents = Array.isArray(data?.events) && data.events.length > 0;
-      if (!hasEvents) {
-        data = await sportsDbGet('eventspastleague.php', { id: league.externalId });
-      }
+      events = await catalogProvider.listEventsByLeague(league);
     } catch (_) {
-      try {
-        data = await sportsDbGet('eventspastleague.php', { id: league.externalId });
-      } catch (_) {
-        data = null;
-      }
+      events = [];
     }
-    const events = Array.isArray(data?.events) ? data.events : [];
     const matchedEvents = events.filter((event) => {
-      const eventLeagueId = String(event.idLeague || '').trim();
-      const eventLeagueName = normalizeName(event.strLeague || '');
+      const eventLeagueId = String(event.leagueExternalId || '').trim();
+      const eventLeagueName = normalizeName(event.league || '');
       const selectedLeagueId = String(league.externalId || '').trim();
       const selectedLeagueName = normalizeName(league.name || '');
       if (selectedLeagueId && eventLeagueId) {
@@ -592,10 +1703,10 @@ async function fetchSportHighlightsFromSportsDb(store, sportId, limit = 3, prefe
     });
     matchedEvents.slice(0, limit).forEach((event) => {
       highlights.push({
-        league: event.strLeague || league.name,
-        title: event.strEvent || `${event.strHomeTeam || ''} vs ${event.strAwayTeam || ''}`.trim(),
-        date: event.dateEvent || null,
-        time: event.strTime || null,
+        league: event.league || league.name,
+        title: event.title,
+        date: event.date,
+        time: event.time,
       });
     });
     if (highlights.length >= limit) break;
@@ -603,45 +1714,1129 @@ async function fetchSportHighlightsFromSportsDb(store, sportId, limit = 3, prefe
   return highlights.slice(0, limit);
 }
 
+// Words that say nothing about which club a name refers to ("Arsenal FC" is "Arsenal").
+const NAME_NOISE_WORDS = new Set(['fc', 'afc', 'cf', 'sc', 'ac', 'club', 'the', 'de', 'and']);
+
+function nameTokens(value) {
+  return normalizeName(value)
+    .replace(/-/g, ' ')
+    .split(' ')
+    .filter((token) => token && !NAME_NOISE_WORDS.has(token));
+}
+
+function bigrams(value) {
+  const text = ` ${value} `;
+  const grams = new Set();
+  for (let i = 0; i < text.length - 1; i += 1) grams.add(text.slice(i, i + 2));
+  return grams;
+}
+
+function diceCoefficient(a, b) {
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  let shared = 0;
+  gramsA.forEach((gram) => {
+    if (gramsB.has(gram)) shared += 1;
+  });
+  return (2 * shared) / (gramsA.size + gramsB.size);
+}
+
+// "utd" abbreviates "united", "man" abbreviates "manchester", "b" abbreviates "bukayo": same first
+// letter, remaining letters in order.
+function isAbbreviation(short, long) {
+  if (short.length >= long.length || short[0] !== long[0]) return false;
+  let index = 0;
+  for (const char of long) {
+    if (char === short[index]) index += 1;
+    if (index === short.length) return true;
+  }
+  return false;
+}
+
+// 0..1 similarity of two entity names. Token-level abbreviations ("Man Utd") and initials ("PSG")
+// score high; everything else falls back to bigram overlap, which absorbs small typos.
+function nameSimilarity(nameA, nameB) {
+  const tokensA = nameTokens(nameA);
+  const tokensB = nameTokens(nameB);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  const joinedA = tokensA.join(' ');
+  const joinedB = tokensB.join(' ');
+  if (joinedA === joinedB) return 1;
+
+  // A lone abbreviated word ("Al" / "Alan") is too weak a signal, so this needs two or more tokens.
+  if (tokensA.length > 1 && tokensA.length === tokensB.length) {
+    const abbreviated = tokensA.every(
+      (token, i) => token === tokensB[i] || isAbbreviation(token, tokensB[i]) || isAbbreviation(tokensB[i], token)
+    );
+    if (abbreviated) return 0.9;
+  }
+  const [single, multi] = tokensA.length === 1 ? [tokensA, tokensB] : [tokensB, tokensA];
+  if (single.length === 1 && multi.length > 1 && single[0] === multi.map((token) => token[0]).join('')) return 0.85;
+
+  return diceCoefficient(joinedA, joinedB);
+}
+
+const MERGEABLE_ENTITIES = {
+  team: { collection: 'teams', metadataFields: TEAM_METADATA_FIELDS },
+  player: { collection: 'players', metadataFields: PLAYER_METADATA_FIELDS },
+};
+
+// Likely duplicate pairs of teams or players within a sport, best first. Name similarity is adjusted
+// by context: players on the same team or teams sharing a player name are more likely the same,
+// players on different teams and two distinct ids from the same provider are less likely.
+function findDuplicateCandidates(store, sportId, entityType, minScore = 0.75) {
+  const { collection } = MERGEABLE_ENTITIES[entityType];
+  const entities = store[collection].filter((item) => item.sportId === sportId);
+  const teamNameById = new Map(store.teams.map((team) => [team.id, team.name]));
+  const playerNamesByTeam = new Map();
+  if (entityType === 'team') {
+    store.players
+      .filter((player) => player.sportId === sportId && player.teamId)
+      .forEach((player) => {
+        if (!playerNamesByTeam.has(player.teamId)) playerNamesByTeam.set(player.teamId, new Set());
+        playerNamesByTeam.get(player.teamId).add(normalizeName(player.name));
+      });
+  }
+
+  const candidates = [];
+  for (let i = 0; i < entities.length; i += 1) {
+    for (let j = i + 1; j < entities.length; j += 1) {
+      const a = entities[i];
+      const b = entities[j];
+      const similarity = nameSimilarity(a.name, b.name);
+      if (similarity < minScore - 0.15) continue;
+      let score = similarity;
+      const reasons = [`name similarity ${similarity.toFixed(2)}`];
+
+      if (a.externalId && b.externalId && a.externalSource === b.externalSource) {
+        score -= 0.3;
+        reasons.push(`distinct ${a.externalSource} ids`);
+      }
+      if (entityType === 'player' && a.teamId && b.teamId) {
+        if (a.teamId === b.teamId) {
+          score += 0.1;
+          reasons.push('same team');
+        } else if (nameSimilarity(teamNameById.get(a.teamId), teamNameById.get(b.teamId)) >= 0.85) {
+          score += 0.05;
+          reasons.push('teams look like duplicates');
+        } else {
+          score -= 0.15;
+          reasons.push('different teams');
+        }
+      }
+      if (entityType === 'team') {
+        const namesA = playerNamesByTeam.get(a.id) || new Set();
+        const namesB = playerNamesByTeam.get(b.id) || new Set();
+        const sharedPlayers = [...namesA].filter((name) => namesB.has(name)).length;
+        if (sharedPlayers > 0) {
+          score += 0.1;
+          reasons.push(`${sharedPlayers} shared player name${sharedPlayers === 1 ? '' : 's'}`);
+        }
+      }
+
+      score = Math.max(0, Math.min(1, score));
+      if (score >= minScore) {
+        candidates.push({ entityType, score: Number(score.toFixed(2)), reasons, entities: [a, b] });
+      }
+    }
+  }
+  return candidates.sort((x, y) => y.score - x.score);
+}
+
+// Folds duplicates into the survivor in one store mutation: follows move to the survivor (or are
+// dropped when the user already follows it), players move to a surviving team, and the survivor
+// keeps the duplicates' names as aliases and inherits a provider id and metadata it lacked. The
+// survivor must be live, or follows would land on something nobody can see; archived duplicates
+// may be folded in, and their (hidden) follows then count again on the survivor.
+function mergeCatalogEntities(store, entityType, survivorId, duplicateIds) {
+  const { collection, metadataFields } = MERGEABLE_ENTITIES[entityType];
+  const survivor = store[collection].find((item) => item.id === survivorId);
+  if (!survivor) return { status: 404, error: 'Survivor not found.' };
+  if (!isActiveCatalogEntity(store, entityType, survivor.id)) {
+    return { status: 409, error: 'The survivor is archived (or under an archived sport). Restore it before merging into it.' };
+  }
+  const duplicates = duplicateIds.map((id) => store[collection].find((item) => item.id === id));
+  if (duplicates.some((item) => !item)) return { status: 404, error: 'One or more duplicates were not found.' };
+  if (duplicates.some((item) => item.sportId !== survivor.sportId)) {
+    return { status: 400, error: 'Only entities of the same sport can be merged.' };
+  }
+
+  const duplicateIdSet = new Set(duplicateIds);
+  const followerIds = new Set(
+    store.follows.filter((f) => f.entityType === entityType && f.entityId === survivor.id).map((f) => f.userId)
+  );
+  let followsMoved = 0;
+  let followsDropped = 0;
+  store.follows = store.follows.filter((follow) => {
+    if (follow.entityType !== entityType || !duplicateIdSet.has(follow.entityId)) return true;
+    if (followerIds.has(follow.userId)) {
+      followsDropped += 1;
+      return false;
+    }
+    follow.entityId = survivor.id;
+    followerIds.add(follow.userId);
+    followsMoved += 1;
+    return true;
+  });
+
+  let playersMoved = 0;
+  if (entityType === 'team') {
+    store.players.forEach((player) => {
+      if (!duplicateIdSet.has(player.teamId)) return;
+      player.teamId = survivor.id;
+      playersMoved += 1;
+    });
+    const survivorLeagueIds = new Set(getTeamLeagueIds(store, survivor.id));
+    store.teamLeagues = store.teamLeagues.filter((entry) => {
+      if (!duplicateIdSet.has(entry.teamId)) return true;
+      if (survivorLeagueIds.has(entry.leagueId)) return false;
+      entry.teamId = survivor.id;
+      survivorLeagueIds.add(entry.leagueId);
+      return true;
+    });
+  }
+
+  const aliases = new Set(survivor.aliases || []);
+  duplicates.forEach((duplicate) => {
+    [duplicate.name, ...(duplicate.aliases || [])].forEach((name) => {
+      if (normalizeName(name) !== normalizeName(survivor.name)) aliases.add(name);
+    });
+    if (!survivor.externalId && duplicate.externalId) {
+      survivor.externalSource = duplicate.externalSource;
+      survivor.externalId = duplicate.externalId;
+    }
+    if (!survivor.source && duplicate.source) survivor.source = duplicate.source;
+    if (entityType === 'player' && !survivor.teamId && duplicate.teamId) survivor.teamId = duplicate.teamId;
+    metadataFields.forEach((field) => {
+      if (survivor[field] == null && duplicate[field] != null) survivor[field] = duplicate[field];
+    });
+  });
+  survivor.aliases = [...aliases];
+
+  // Team history follows the merge as a rename, not as transfers.
+  const historyField = entityType === 'team' ? 'teamId' : 'playerId';
+  store.playerTeamHistory.forEach((entry) => {
+    if (duplicateIdSet.has(entry[historyField])) entry[historyField] = survivor.id;
+    if (entityType === 'team' && duplicateIdSet.has(entry.fromTeamId)) entry.fromTeamId = survivor.id;
+  });
+  if (entityType === 'player') {
+    const now = new Date().toISOString();
+    store.playerTeamHistory.forEach((entry) => {
+      if (entry.playerId === survivor.id && !entry.to && entry.teamId !== survivor.teamId) entry.to = now;
+    });
+  }
+
+  store[collection] = store[collection].filter((item) => !duplicateIdSet.has(item.id));
+  delete store.feedCacheBySport[survivor.sportId];
+
+  return { status: 200, survivor, merged: duplicateIds.length, followsMoved, followsDropped, playersMoved };
+}
+
+// Admin CRUD works on these URL segments; entityType is what follows and audit entries use.
+const CATALOG_ADMIN_TYPES = {
+  sports: { entityType: 'sport', idPrefix: 'sp', metadataFields: [] },
+  leagues: { entityType: 'league', idPrefix: 'lg', metadataFields: [] },
+  teams: { entityType: 'team', idPrefix: 'tm', metadataFields: TEAM_METADATA_FIELDS },
+  players: { entityType: 'player', idPrefix: 'pl', metadataFields: PLAYER_METADATA_FIELDS },
+};
+
+// Names typed by users or editors end up in every follower's feed; markup characters have no place
+// in a sport or team name.
+const UNSAFE_NAME_CHARACTERS = /[<>\u0000-\u001f]/;
+
+// What still points at an entity. Any non-zero count blocks a hard delete; archive instead.
+function catalogReferences(store, collection, id) {
+  const { entityType } = CATALOG_ADMIN_TYPES[collection];
+  const references = { follows: store.follows.filter((f) => f.entityType === entityType && f.entityId === id).length };
+  if (collection === 'sports') {
+    references.leagues = store.leagues.filter((league) => league.sportId === id).length;
+    references.teams = store.teams.filter((team) => team.sportId === id).length;
+    references.players = store.players.filter((player) => player.sportId === id).length;
+  }
+  if (collection === 'teams') {
+    references.players = store.players.filter((player) => player.teamId === id).length;
+    references.history = store.playerTeamHistory.filter((entry) => entry.teamId === id || entry.fromTeamId === id).length;
+  }
+  return references;
+}
+
+function hasReferences(references) {
+  return Object.values(references).some((count) => count > 0);
+}
+
+// Another live entity in the same scope (all sports, or one sport) already using the name.
+function findCatalogNameConflict(store, collection, entity, name) {
+  const normalized = normalizeName(name);
+  return store[collection].find(
+    (item) =>
+      item.id !== entity.id &&
+      !item.archivedAt &&
+      (collection === 'sports' || item.sportId === entity.sportId) &&
+      matchesName(item, normalized)
+  );
+}
+
+// Closes the player's open history entry without starting a new one.
+function releasePlayerFromTeam(store, player) {
+  if (!player.teamId) return false;
+  const open = store.playerTeamHistory.find((entry) => entry.playerId === player.id && !entry.to);
+  if (open) open.to = new Date().toISOString();
+  player.teamId = null;
+  return true;
+}
+
+// Validates an admin create/update body against `entity` (an empty object when creating) and applies
+// it. Nothing is written unless every field is valid. Returns { status, error } on failure. Created
+// entities record `source` ('manual' or 'import') so they are listed without a provider id.
+function applyCatalogChanges(store, collection, entity, body, creating, source = 'manual') {
+  const { entityType, idPrefix, metadataFields } = CATALOG_ADMIN_TYPES[collection];
+  const next = creating ? { id: newId(idPrefix), source } : { ...entity };
+
+  if (creating || body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (name.length < 2 || name.length > 80) return { status: 400, error: 'name must be 2-80 characters.' };
+    if (UNSAFE_NAME_CHARACTERS.test(name)) return { status: 400, error: 'name cannot contain < > or control characters.' };
+    next.name = name;
+    if (collection !== 'players') next.slug = slugify(name);
+  }
+
+  if (collection === 'sports') {
+    if (body.isPopular !== undefined) {
+      if (typeof body.isPopular !== 'boolean') return { status: 400, error: 'isPopular must be true or false.' };
+      next.isPopular = body.isPopular;
+    } else if (creating) {
+      next.isPopular = false;
+    }
+  } else if (creating || (body.sportId !== undefined && body.sportId !== entity.sportId)) {
+    const sport = store.sports.find((item) => item.id === String(body.sportId || '').trim());
+    if (!sport || sport.archivedAt) return { status: 400, error: 'sportId must be an active sport.' };
+    if (!creating) {
+      const references = catalogReferences(store, collection, entity.id);
+      if (hasReferences(references)) {
+        return { status: 409, error: `This ${entityType} is in use and cannot change sport.`, references };
+      }
+    }
+    next.sportId = sport.id;
+  }
+
+  let nextTeamId = creating ? null : entity.teamId || null;
+  if (collection === 'players') {
+    if (body.teamId !== undefined) nextTeamId = body.teamId ? String(body.teamId).trim() : null;
+    else if (next.sportId !== entity.sportId) nextTeamId = null;
+    if (nextTeamId) {
+      const team = store.teams.find((item) => item.id === nextTeamId);
+      if (!team || team.archivedAt || team.sportId !== next.sportId) {
+        return { status: 400, error: 'teamId must be an active team in the same sport.' };
+      }
+    }
+  }
+
+  if (body.aliases !== undefined) {
+    if (
+      !Array.isArray(body.aliases) ||
+      body.aliases.some((alias) => typeof alias !== 'string' || alias.trim().length > 80 || UNSAFE_NAME_CHARACTERS.test(alias))
+    ) {
+      return { status: 400, error: 'aliases must be a list of names up to 80 characters, without < > or control characters.' };
+    }
+    const seen = new Set([normalizeName(next.name)]);
+    next.aliases = body.aliases
+      .map((alias) => alias.trim())
+      .filter((alias) => {
+        const key = normalizeName(alias);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    if (next.aliases.length > 20) return { status: 400, error: 'At most 20 aliases are allowed.' };
+  }
+
+  for (const field of metadataFields) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      delete next[field];
+    } else if (typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value))) {
+      next[field] = typeof value === 'string' ? value.trim() : value;
+    } else {
+      return { status: 400, error: `${field} must be a string or number.` };
+    }
+  }
+
+  if (next.name !== entity.name || next.sportId !== entity.sportId) {
+    const conflict = findCatalogNameConflict(store, collection, next, next.name);
+    if (conflict) return { status: 409, error: `"${conflict.name}" already exists.`, conflictId: conflict.id };
+  }
+  if (body.aliases !== undefined) {
+    for (const alias of next.aliases) {
+      const conflict = findCatalogNameConflict(store, collection, next, alias);
+      if (conflict) return { status: 409, error: `"${alias}" already names "${conflict.name}".`, conflictId: conflict.id };
+    }
+  }
+
+  const target = creating ? next : entity;
+  if (creating) {
+    if (collection === 'players') next.teamId = null;
+    store[collection].push(next);
+  } else {
+    Object.keys(entity).forEach((key) => {
+      if (!(key in next)) delete entity[key];
+    });
+    Object.assign(entity, next);
+  }
+  if (collection === 'players' && nextTeamId !== (target.teamId || null)) {
+    if (nextTeamId) movePlayerToTeam(store, target, nextTeamId);
+    else releasePlayerFromTeam(store, target);
+  }
+  delete store.feedCacheBySport[collection === 'sports' ? target.id : target.sportId];
+  if (entity.sportId && entity.sportId !== target.sportId) delete store.feedCacheBySport[entity.sportId];
+  return { status: creating ? 201 : 200, entity: target };
+}
+
+// Hard delete for entities nothing refers to; everything else has to be archived.
+function deleteCatalogEntity(store, collection, id) {
+  const entity = store[collection].find((item) => item.id === id);
+  if (!entity) return { status: 404, error: 'Not found.' };
+  const references = catalogReferences(store, collection, id);
+  if (hasReferences(references)) {
+    return { status: 409, error: 'Still referenced; archive it instead.', references };
+  }
+  store[collection] = store[collection].filter((item) => item.id !== id);
+  if (collection === 'sports') {
+    delete store.feedCacheBySport[id];
+    delete store.catalogSyncState[id];
+    Object.keys(store.userSportOrder).forEach((userId) => {
+      store.userSportOrder[userId] = store.userSportOrder[userId].filter((sportId) => sportId !== id);
+    });
+  } else {
+    delete store.feedCacheBySport[entity.sportId];
+  }
+  if (collection === 'players') {
+    store.playerTeamHistory = store.playerTeamHistory.filter((entry) => entry.playerId !== id);
+  }
+  if (collection === 'teams' || collection === 'leagues') {
+    const field = collection === 'teams' ? 'teamId' : 'leagueId';
+    store.teamLeagues = store.teamLeagues.filter((entry) => entry[field] !== id);
+  }
+  return { status: 200, entity };
+}
+
+// Bulk import/export columns per type, in export order. `id` lets an edited export be re-imported
+// onto the same entities; rows without one match by name. Unknown columns are ignored.
+const CATALOG_IMPORT_COLUMNS = {
+  sports: ['id', 'name', 'aliases', 'isPopular'],
+  leagues: ['id', 'name', 'aliases'],
+  teams: ['id', 'name', 'aliases', 'leagues', ...TEAM_METADATA_FIELDS],
+  players: ['id', 'name', 'aliases', 'team', ...PLAYER_METADATA_FIELDS],
+};
+
+// Import previews wait here until they are committed or expire.
+const catalogImports = new Map();
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = '';
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+  return rows.filter((entry) => entry.cells.some((cell) => cell.trim() !== ''));
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Turns a CSV or NDJSON upload into [{ line, values }], or { error } when the file itself is unusable.
+function parseCatalogImport(text, format) {
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return { error: 'The file is empty.' };
+    const columns = header.cells.map((cell) => cell.trim());
+    if (!columns.includes('name') && !columns.includes('id')) return { error: 'The header must include a name or id column.' };
+    return {
+      rows: rows.map(({ line, cells }) => ({
+        line,
+        values: Object.fromEntries(columns.map((column, index) => [column, (cells[index] || '').trim()])),
+      })),
+    };
+  }
+  const rows = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    if (!raw.trim()) return;
+    try {
+      const values = JSON.parse(raw);
+      if (!values || typeof values !== 'object' || Array.isArray(values)) throw new Error('not an object');
+      rows.push({ line: index + 1, values });
+    } catch (_) {
+      rows.push({ line: index + 1, values: {}, parseError: 'Not a JSON object.' });
+    }
+  });
+  return { rows };
+}
+
+function parseImportBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(text)) return true;
+  if (['false', '0', 'no'].includes(text)) return false;
+  return null;
+}
+
+// Applies import rows to `store` row by row through applyCatalogChanges and reports what happened
+// to each: create, update, unchanged or invalid with its errors. Previews run this on a copy of the
+// store (`dryRun`, so ids of entities that do not exist yet are left out), commits on the real one.
+function runCatalogImport(store, collection, sportId, rows, dryRun = false) {
+  const inScope = (item) => collection === 'sports' || item.sportId === sportId;
+  const firstLineByName = new Map();
+  const createdIds = new Set();
+  const report = rows.map(({ line, values, parseError }) => {
+    if (parseError) return { line, name: null, action: 'invalid', id: null, errors: [parseError] };
+    const errors = [];
+    const present = (field) => values[field] !== undefined && values[field] !== null && values[field] !== '';
+    const name = String(values.name ?? '').trim();
+    const normalized = normalizeName(name);
+    if (normalized) {
+      if (firstLineByName.has(normalized)) errors.push(`Duplicate of line ${firstLineByName.get(normalized)}.`);
+      else firstLineByName.set(normalized, line);
+    }
+
+    const candidates = store[collection].filter(inScope);
+    let existing = null;
+    if (present('id')) {
+      existing = candidates.find((item) => item.id === String(values.id).trim());
+      if (!existing) errors.push(`Unknown id "${values.id}".`);
+    } else if (normalized) {
+      const matches = candidates.filter((item) => matchesName(item, normalized));
+      existing = matches.find((item) => !item.archivedAt) || matches[0] || null;
+    } else {
+      errors.push('name is required.');
+    }
+
+    // Rows matched by name keep the stored name, so an alias in the file does not rename the entity.
+    const body = {};
+    if (name && (!existing || present('id'))) body.name = name;
+    if (!existing && collection !== 'sports') body.sportId = sportId;
+    if (present('aliases')) {
+      body.aliases = Array.isArray(values.aliases) ? values.aliases : String(values.aliases).split('|');
+    }
+    if (collection === 'sports' && present('isPopular')) {
+      body.isPopular = parseImportBoolean(values.isPopular);
+      if (body.isPopular === null) errors.push('isPopular must be true or false.');
+    }
+    if (collection === 'players' && present('team')) {
+      const team = store.teams.find((item) => item.sportId === sportId && !item.archivedAt && matchesName(item, normalizeName(values.team)));
+      if (team) body.teamId = team.id;
+      else errors.push(`Unknown team "${values.team}".`);
+    }
+    const leagueIds = [];
+    if (collection === 'teams' && present('leagues')) {
+      const leagueNames = Array.isArray(values.leagues) ? values.leagues : String(values.leagues).split('|');
+      leagueNames
+        .map((leagueName) => String(leagueName).trim())
+        .filter(Boolean)
+        .forEach((leagueName) => {
+          const league = store.leagues.find((item) => item.sportId === sportId && normalizeName(item.name) === normalizeName(leagueName));
+          if (league) leagueIds.push(league.id);
+          else errors.push(`Unknown league "${leagueName}".`);
+        });
+    }
+    (CATALOG_ADMIN_TYPES[collection].metadataFields || []).forEach((field) => {
+      if (present(field)) body[field] = values[field];
+    });
+
+    const existingId = existing && !(dryRun && createdIds.has(existing.id)) ? existing.id : null;
+    const entry = { line, name: name || (existing && existing.name) || null, action: 'invalid', id: existingId, errors };
+    if (errors.length > 0) return entry;
+
+    const before = existing ? JSON.stringify(existing) : null;
+    const result = applyCatalogChanges(store, collection, existing || {}, body, !existing, 'import');
+    if (result.error) {
+      errors.push(result.error);
+      return entry;
+    }
+    leagueIds.forEach((leagueId) => addTeamToLeague(store, result.entity.id, leagueId, 'admin'));
+    if (!existing) createdIds.add(result.entity.id);
+    if (!dryRun || existing) entry.id = result.entity.id;
+    entry.action = !existing ? 'create' : before === JSON.stringify(result.entity) ? 'unchanged' : 'update';
+    return entry;
+  });
+
+  const summary = { rows: report.length, create: 0, update: 0, unchanged: 0, invalid: 0 };
+  report.forEach((entry) => {
+    summary[entry.action] += 1;
+  });
+  return { summary, rows: report };
+}
+
+function pruneCatalogImports(now = Date.now()) {
+  catalogImports.forEach((preview, id) => {
+    if (new Date(preview.expiresAt).getTime() <= now) catalogImports.delete(id);
+  });
+}
+
+// Export rows use the import columns, so an export can be edited and imported back.
+function catalogExportRows(store, collection, sportId) {
+  const leagueName = new Map(store.leagues.map((league) => [league.id, league.name]));
+  const teamName = new Map(store.teams.map((team) => [team.id, team.name]));
+  return store[collection]
+    .filter((item) => !item.archivedAt && (collection === 'sports' || item.sportId === sportId))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((item) => {
+      const row = { ...item, aliases: item.aliases || [] };
+      if (collection === 'sports') row.isPopular = Boolean(item.isPopular);
+      if (collection === 'teams') row.leagues = getTeamLeagueIds(store, item.id).map((id) => leagueName.get(id)).filter(Boolean);
+      if (collection === 'players') row.team = item.teamId ? teamName.get(item.teamId) || '' : '';
+      return Object.fromEntries(CATALOG_IMPORT_COLUMNS[collection].map((column) => [column, row[column] ?? '']));
+    });
+}
+
+// Levenshtein distance, giving up as soon as it must exceed `max`.
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Short queries get no typo allowance: nearly every short word is one edit from another sport.
+function allowedTypos(length) {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+// How a normalized query matches one normalized name or alias, best kind first: exact (spaces
+// ignored, so "formula1" is exact), prefix, word prefix, substring, a typo of the whole term, or a
+// typo of one word or of the term's start. Returns null when nothing matches.
+function matchSearchTerm(query, term) {
+  if (!term) return null;
+  if (term === query || term.replace(/ /g, '') === query.replace(/ /g, '')) return { kind: 'exact', score: 100 };
+  if (term.startsWith(query)) return { kind: 'prefix', score: 80 };
+  const words = term.split(' ');
+  if (words.some((word) => word.startsWith(query))) return { kind: 'word', score: 70 };
+  if (term.includes(query)) return { kind: 'substring', score: 60 };
+  const max = allowedTypos(query.length);
+  if (max === 0) return null;
+  const whole = editDistance(query, term, max);
+  if (whole <= max) return { kind: 'typo', score: 50 - whole * 10, distance: whole };
+  const partial = Math.min(...words.map((word) => editDistance(query, word, max)), editDistance(query, term.slice(0, query.length), max));
+  return partial <= max ? { kind: 'fuzzy', score: 45 - partial * 10, distance: partial } : null;
+}
+
+// Best match of a query against an entity's name and aliases. Alias hits rank just below the same
+// kind of hit on the name; `alias` says which alias matched.
+function matchCatalogName(entity, normalizedQuery) {
+  let best = null;
+  [entity.name, ...(entity.aliases || [])].forEach((value, index) => {
+    const match = matchSearchTerm(normalizedQuery, normalizeName(value));
+    if (!match) return;
+    const score = match.score - (index > 0 ? 2 : 0);
+    if (!best || score > best.score) best = { ...match, score, alias: index > 0 ? value : null };
+  });
+  return best;
+}
+
+const SEARCH_TYPES = ['sports', 'leagues', 'teams', 'players'];
+
+// Unified search, one ranked group per type with the sport context and whether the user follows each
+// result. Teams, players and leagues rank by match quality, a boost inside sports the user follows
+// and their follower count. They come from the listed catalog (provider-backed, plus entities created
+// by hand, upserted or imported, minus anything archived or under an archived sport), so every result
+// can be followed.
+function searchCatalog(store, query, userId, types = SEARCH_TYPES, limit = 8) {
+  const normalizedQuery = normalizeName(query);
+  const interests = getUserInterests(store, userId);
+  const followed = {
+    sport: new Set(interests.sportIds),
+    team: new Set(interests.teamIds),
+    player: new Set(interests.playerIds),
+    league: new Set(interests.leagueIds),
+  };
+  const followers = new Map();
+  store.follows.forEach((f) => followers.set(`${f.entityType}:${f.entityId}`, (followers.get(`${f.entityType}:${f.entityId}`) || 0) + 1));
+  const liveSports = new Map(store.sports.filter((sport) => !sport.archivedAt).map((sport) => [sport.id, sport]));
+  const teamById = new Map(store.teams.map((team) => [team.id, team]));
+
+  const groups = {};
+  types.forEach((collection) => {
+    const { entityType } = CATALOG_ADMIN_TYPES[collection];
+    if (collection === 'sports') {
+      groups.sports = searchSports(store, query, limit).map((sport) => ({
+        type: 'sport',
+        id: sport.id,
+        name: sport.name,
+        matchedAlias: sport.matchedAlias,
+        sport: null,
+        followed: followed.sport.has(sport.id),
+      }));
+      return;
+    }
+    groups[collection] = store[collection]
+      .filter((item) => isListedCatalogEntity(item) && liveSports.has(item.sportId))
+      .map((item) => {
+        const match = matchCatalogName(item, normalizedQuery);
+        if (!match) return null;
+        const followerCount = followers.get(`${entityType}:${item.id}`) || 0;
+        const rank = match.score + (followed.sport.has(item.sportId) ? 5 : 0) + Math.min(8, Math.log2(1 + followerCount) * 2);
+        return { item, match, rank };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.rank - a.rank || a.item.name.localeCompare(b.item.name))
+      .slice(0, limit)
+      .map(({ item, match }) => {
+        const sport = liveSports.get(item.sportId);
+        const result = {
+          type: entityType,
+          id: item.id,
+          name: item.name,
+          matchedAlias: match.alias,
+          sport: { id: sport.id, name: sport.name },
+          followed: followed[entityType].has(item.id),
+        };
+        if (collection === 'teams') result.badgeUrl = item.badgeUrl || item.logoUrl || null;
+        if (collection === 'players') {
+          const team = item.teamId ? teamById.get(item.teamId) : null;
+          result.team = team ? { id: team.id, name: team.name } : null;
+          result.position = item.position || null;
+        }
+        return result;
+      });
+  });
+  return groups;
+}
+
+// Ranked sport search for the catalog and onboarding: match quality first, then a popularity weight
+// from the isPopular flag and follower counts. An empty query lists popular sports.
 function searchSports(store, query, limit = 20) {
   const normalizedQuery = normalizeName(query);
-  const sports = store.sports.map((sport) => ({ ...sport, isPopular: Boolean(sport.isPopular) }));
+  const followers = new Map();
+  store.follows
+    .filter((f) => f.entityType === 'sport')
+    .forEach((f) => followers.set(f.entityId, (followers.get(f.entityId) || 0) + 1));
+  const popularity = (sport) => (sport.isPopular ? 6 : 0) + Math.min(8, Math.log2(1 + (followers.get(sport.id) || 0)) * 2);
+
+  return store.sports
+    .filter((sport) => !sport.archivedAt && (normalizedQuery || sport.isPopular))
+    .map((sport) => {
+      const match = normalizedQuery ? matchCatalogName(sport, normalizedQuery) : { score: 0, alias: null };
+      return match && { sport, match, rank: match.score + popularity(sport) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.rank - a.rank || a.sport.name.localeCompare(b.sport.name))
+    .slice(0, limit)
+    .map(({ sport, match }) => ({ ...sport, isPopular: Boolean(sport.isPopular), matchedAlias: match.alias }));
+}
 
-  const filtered = normalizedQuery
-    ? sports.filter((sport) => {
-        const haystack = normalizeName(`${sport.name} ${sport.slug || ''}`);
-        return haystack.includes(normalizedQuery);
+// The live sport a requested name means: the same name or an alias (spaces ignored), or one typo
+// away from one on long names ("Basketbal"). Looser matches are left alone so "Hurling" is not taken
+// for "Curling".
+function findSportByName(store, name) {
+  const normalized = normalizeName(name);
+  if (!normalized) return null;
+  const maxTypos = Math.max(0, allowedTypos(normalized.length) - 1);
+  const distanceTo = (sport) =>
+    Math.min(
+      ...[sport.name, ...(sport.aliases || [])].map((value) => {
+        const term = normalizeName(value);
+        return term.replace(/ /g, '') === normalized.replace(/ /g, '') ? 0 : editDistance(normalized, term, maxTypos);
       })
-    : sports.filter((sport) => sport.isPopular);
+    );
+  return (
+    store.sports
+      .filter((sport) => !sport.archivedAt)
+      .map((sport) => ({ sport, distance: distanceTo(sport) }))
+      .filter(({ distance }) => distance <= maxTypos)
+      .sort((a, b) => a.distance - b.distance)[0]?.sport || null
+  );
+}
+
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  'catalog-editor': ['catalog:write', 'catalog:sync', 'sync-history:read', 'sport-requests:read', 'sport-requests:write'],
+  support: ['users:read', 'sport-requests:read', 'auth-lockouts:read', 'auth-lockouts:write'],
+};
+
+function normalizeRoles(value) {
+  return normalizeIdArray(value).filter((role) => ROLE_PERMISSIONS[role]);
+}
 
-  filtered.sort((a, b) => {
-    if (a.isPopular !== b.isPopular) return a.isPopular ? -1 : 1;
-    return a.name.localeCompare(b.name);
+function hasPermission(user, permission) {
+  if (!user) return false;
+  return normalizeRoles(user.roles).some((role) => {
+    const granted = ROLE_PERMISSIONS[role];
+    return granted.includes('*') || granted.includes(permission);
   });
+}
 
-  return filtered.slice(0, limit);
+// The x-admin-key header is an opt-in machine credential: it only works when ADMIN_KEY is set, and
+// then grants every permission.
+function hasAdminKey(req) {
+  const expected = process.env.ADMIN_KEY;
+  const provided = req.headers['x-admin-key'];
+  return Boolean(expected && provided && safeEqual(provided, expected));
 }
 
-function requireAdmin(req, res) {
-  const adminKey = req.headers['x-admin-key'];
-  const expected = process.env.ADMIN_KEY || 'sports-one-admin';
-  if (adminKey !== expected) {
+function requirePermission(req, res, user, permission) {
+  if (hasAdminKey(req) || hasPermission(user, permission)) return true;
+  if (!user) {
     sendJson(res, 401, { error: 'Unauthorized' });
-    return false;
+  } else {
+    sendJson(res, 403, { error: 'You do not have permission to do that.' });
   }
+  return false;
+}
+
+function isSessionActive(session, now = Date.now()) {
+  const createdAt = new Date(session.createdAt).getTime();
+  const lastSeenAt = new Date(session.lastSeenAt || session.createdAt).getTime();
+  if (!Number.isFinite(createdAt) || now - createdAt > SESSION_ABSOLUTE_TTL_MS) return false;
+  if (!Number.isFinite(lastSeenAt) || now - lastSeenAt > SESSION_IDLE_TTL_MS) return false;
   return true;
 }
 
-function getSessionUser(req, store) {
-  const cookies = parseCookies(req);
-  const sid = cookies.sid;
+function getSession(req, store) {
+  const sid = parseCookies(req).sid;
   if (!sid) return null;
   const session = store.sessions.find((s) => s.id === sid);
+  if (!session || !isSessionActive(session)) return null;
+  return session;
+}
+
+const API_TOKEN_SCOPES = {
+  'feed:read': 'Read your feed, interests and the sports catalog',
+  'interests:write': 'Change the sports, teams, players and leagues you follow',
+};
+const API_TOKEN_LIMIT_PER_USER = 20;
+const API_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// The scope a personal API token needs for a route, or null when tokens may not call it at all
+// (account, session, token and admin management stay cookie-only).
+function apiTokenScopeFor(method, pathname) {
+  if (method === 'GET') {
+    if (['/api/me', '/api/me/interests', '/api/home/feed', '/api/catalog/sports', '/api/onboarding/options', '/api/search'].includes(pathname)) {
+      return 'feed:read';
+    }
+    if (/^\/api\/sports\/[^/]+\/interests-options$/.test(pathname)) return 'feed:read';
+    if (/^\/api\/players\/[^/]+\/career$/.test(pathname)) return 'feed:read';
+  }
+  if (method === 'POST') {
+    if (['/api/me/sports', '/api/onboarding/interests', '/api/me/follows'].includes(pathname)) return 'interests:write';
+    if (/^\/api\/sports\/[^/]+\/interests$/.test(pathname)) return 'interests:write';
+  }
+  if (method === 'DELETE' && /^\/api\/me\/follows\/[^/]+\/[^/]+$/.test(pathname)) return 'interests:write';
+  return null;
+}
+
+function bearerToken(req) {
+  const match = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+function getApiToken(req, store) {
+  const raw = bearerToken(req);
+  if (!raw) return null;
+  const tokenHash = hashToken(raw);
+  return store.apiTokens.find((token) => token.tokenHash === tokenHash) || null;
+}
+
+// Resolves the caller from a personal API token (Authorization: Bearer ...) or the sid cookie.
+function getSessionUser(req, store) {
+  const apiToken = getApiToken(req, store);
+  if (apiToken) return store.users.find((u) => u.id === apiToken.userId) || null;
+  if (bearerToken(req)) return null;
+  const session = getSession(req, store);
   if (!session) return null;
   const user = store.users.find((u) => u.id === session.userId);
   return user || null;
 }
 
+// Returns how many tokens were removed.
+function revokeApiTokens(store, userId) {
+  const before = store.apiTokens.length;
+  store.apiTokens = store.apiTokens.filter((token) => token.userId !== userId);
+  return before - store.apiTokens.length;
+}
+
+function publicApiToken(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    scopes: token.scopes,
+    prefix: token.prefix,
+    createdAt: token.createdAt,
+    lastUsedAt: token.lastUsedAt || null,
+  };
+}
+
+// Sessions are addressed by a hash of the sid in the devices API so the raw cookie value is never
+// sent back to the browser.
+function sessionHandle(sid) {
+  return crypto.createHash('sha256').update(String(sid)).digest('hex').slice(0, 16);
+}
+
+function clientIp(req) {
+  if (TRUST_PROXY) {
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    if (forwarded) return forwarded;
+  }
+  return req.socket.remoteAddress || null;
+}
+
+// Throttle entries live in store.authThrottles keyed "<kind>:<subject>", e.g. "account:a@x.com",
+// "ip:127.0.0.1" or "signup:127.0.0.1".
+function getAuthLockoutMs(store, keys, now = Date.now()) {
+  return keys.reduce((longest, key) => {
+    const entry = store.authThrottles[key];
+    const remaining = entry && entry.lockedUntil ? new Date(entry.lockedUntil).getTime() - now : 0;
+    return Math.max(longest, remaining);
+  }, 0);
+}
+
+function recordAuthAttempt(store, key, now = Date.now()) {
+  const [kind, ...rest] = key.split(':');
+  const freeAttempts = AUTH_THROTTLE_FREE_ATTEMPTS[kind];
+  const previous = store.authThrottles[key];
+  const stale = previous && now - new Date(previous.lastFailureAt).getTime() > AUTH_FAILURE_WINDOW_MS;
+  const entry =
+    previous && !stale
+      ? previous
+      : { kind, subject: rest.join(':'), failures: 0, firstFailureAt: new Date(now).toISOString(), lockedUntil: null };
+  entry.failures += 1;
+  entry.lastFailureAt = new Date(now).toISOString();
+  if (entry.failures > freeAttempts) {
+    const lockMs = Math.min(AUTH_LOCKOUT_MAX_MS, AUTH_LOCKOUT_BASE_MS * 2 ** (entry.failures - freeAttempts - 1));
+    entry.lockedUntil = new Date(now + lockMs).toISOString();
+  }
+  store.authThrottles[key] = entry;
+}
+
+function pruneAuthThrottles(store, now = Date.now()) {
+  Object.entries(store.authThrottles).forEach(([key, entry]) => {
+    const locked = entry.lockedUntil && new Date(entry.lockedUntil).getTime() > now;
+    if (!locked && now - new Date(entry.lastFailureAt).getTime() > AUTH_FAILURE_WINDOW_MS) {
+      delete store.authThrottles[key];
+    }
+  });
+}
+
+// Lockout check, password check and failure recording in one store mutation, against the latest
+// counters, so concurrent attempts see each other's failures. pbkdf2Sync blocks the process either
+// way, so running it inside the write queue holds the queue no longer than it holds everything else.
+// Resolves to { lockoutMs } when locked, otherwise { lockoutMs: 0, account } (null on a bad password).
+function verifyPasswordAttempt(keys, findAccount, password) {
+  return mutateStore((latest) => {
+    const lockoutMs = getAuthLockoutMs(latest, keys);
+    if (lockoutMs > 0) return { lockoutMs };
+    const account = findAccount(latest);
+    if (account && verifyPassword(password, account.passwordHash)) return { lockoutMs: 0, account };
+    pruneAuthThrottles(latest);
+    keys.forEach((key) => recordAuthAttempt(latest, key));
+    return { lockoutMs: 0, account: null };
+  });
+}
+
+function sendTooManyAttempts(res, lockoutMs) {
+  const retryAfter = Math.ceil(lockoutMs / 1000);
+  const wait = retryAfter < 120 ? `${retryAfter} seconds` : `${Math.ceil(retryAfter / 60)} minutes`;
+  res.setHeader('Retry-After', String(retryAfter));
+  return sendJson(res, 429, { error: `Too many attempts. Please try again in ${wait}.`, retryAfter });
+}
+
+function createSession(req, userId) {
+  const now = new Date().toISOString();
+  return {
+    id: newId('sid'),
+    userId,
+    createdAt: now,
+    lastSeenAt: now,
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 240) || null,
+    ip: clientIp(req),
+    csrfToken: crypto.randomBytes(24).toString('hex'),
+  };
+}
+
+function requestOrigin(req) {
+  const origin = req.headers.origin;
+  if (origin && origin !== 'null') return origin;
+  if (origin === 'null') return 'null';
+  const referer = req.headers.referer;
+  if (!referer) return null;
+  try {
+    return new URL(referer).origin;
+  } catch (_) {
+    return 'null';
+  }
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Runs before routing for every state-changing API request. Returns an error message, or null when
+// the request may proceed. Two layers:
+//   1. Origin (or Referer) must be this site when the browser sends one. Scripts that send neither
+//      are not a CSRF vector and pass.
+//   2. Requests carrying a live `sid` cookie must echo that session's csrfToken in X-CSRF-Token.
+function checkCsrf(req, url, store) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return null;
+
+  const origin = requestOrigin(req);
+  if (origin) {
+    const allowed = new Set([
+      new URL(APP_BASE_URL).origin,
+      `http://${req.headers.host}`,
+      `https://${req.headers.host}`,
+      ...ALLOWED_ORIGINS,
+    ]);
+    if (!allowed.has(origin)) return 'Cross-site request blocked.';
+  }
+
+  if (CSRF_TOKEN_EXEMPT_PATHS.has(url.pathname)) return null;
+  const session = getSession(req, store);
+  if (!session) return null;
+  const token = req.headers['x-csrf-token'];
+  if (!token || !session.csrfToken || !safeEqual(token, session.csrfToken)) {
+    return 'Invalid or missing CSRF token. Reload the page and try again.';
+  }
+  return null;
+}
+
+function pruneExpiredSessions(store) {
+  const now = Date.now();
+  store.sessions = store.sessions.filter((session) => isSessionActive(session, now));
+}
+
+function setSessionCookie(res, sid) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  const maxAge = Math.floor(SESSION_ABSOLUTE_TTL_MS / 1000);
+  res.setHeader('Set-Cookie', `sid=${encodeURIComponent(sid)}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${maxAge}${secure}`);
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', 'sid=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0');
+}
+
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    emailVerifiedAt: user.emailVerifiedAt || null,
+    pendingEmail: user.pendingEmail || null,
+    roles: normalizeRoles(user.roles),
+  };
+}
+
+const RESTRICTED_ACTION_LABELS = {
+  'sport-requests': 'submitting sport requests',
+  interests: 'changing your interests',
+};
+
+// Sends 403 and returns false when the configured policy keeps unverified users from `action`.
+function requireVerifiedFor(user, action, res) {
+  if (user.emailVerifiedAt || !UNVERIFIED_RESTRICTIONS.has(action)) return true;
+  sendJson(res, 403, {
+    error: `Please verify your email address before ${RESTRICTED_ACTION_LABELS[action] || 'doing that'}.`,
+    code: 'email_unverified',
+  });
+  return false;
+}
+
+// Sends a verification link for `email`: the account's own address, or the pendingEmail of a
+// requested change, which replaces the account email once the link is opened.
+async function sendEmailVerification(account, email = account.email) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  await mutateStore((latest) => {
+    latest.emailVerifications = latest.emailVerifications.filter(
+      (item) => new Date(item.expiresAt).getTime() > now || item.userId === account.id
+    );
+    latest.emailVerifications.push({
+      id: newId('emv'),
+      userId: account.id,
+      email,
+      tokenHash: hashToken(token),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + EMAIL_VERIFICATION_TTL_MS).toISOString(),
+      usedAt: null,
+    });
+  });
+  const hours = Math.round(EMAIL_VERIFICATION_TTL_MS / 3600000);
+  const changing = email !== account.email;
+  await mailer.send({
+    to: email,
+    subject: changing ? 'Confirm your new Sports One email' : 'Verify your Sports One email',
+    text: [
+      `Hi ${account.name},`,
+      '',
+      changing
+        ? `Confirm ${email} as the new email for your Sports One account by opening this link within ${hours} hours:`
+        : `Confirm ${email} for your Sports One account by opening this link within ${hours} hours:`,
+      '',
+      `${APP_BASE_URL}/#verify=${token}`,
+      '',
+      changing ? 'If you did not ask for this change, you can ignore this email.' : 'If you did not create this account, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+function publicSession(session, currentSid) {
+  return {
+    id: sessionHandle(session.id),
+    current: session.id === currentSid,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt || session.createdAt,
+    userAgent: session.userAgent || null,
+    ip: session.ip || null,
+  };
+}
+
 function newId(prefix) {
   return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
 }
@@ -665,16 +2860,39 @@ function contentType(filePath) {
 }
 
 function groupBySport(store) {
-  return store.sports.map((sport) => ({
+  const live = (item) => !item.archivedAt;
+  return store.sports.filter(live).map((sport) => ({
     ...sport,
-    teams: store.teams.filter((team) => team.sportId === sport.id),
-    players: store.players.filter((player) => player.sportId === sport.id),
-    leagues: store.leagues.filter((league) => league.sportId === sport.id),
+    teams: store.teams.filter((team) => team.sportId === sport.id && live(team)),
+    players: store.players.filter((player) => player.sportId === sport.id && live(player)),
+    leagues: store.leagues.filter((league) => league.sportId === sport.id && live(league)),
   }));
 }
 
+// False for missing or archived entities and for anything under an archived sport.
+function isActiveCatalogEntity(store, entityType, entityId) {
+  const collection = { sport: store.sports, team: store.teams, player: store.players, league: store.leagues }[entityType];
+  const entity = (collection || []).find((item) => item.id === entityId);
+  if (!entity || entity.archivedAt) return false;
+  if (entityType === 'sport') return true;
+  const sport = store.sports.find((item) => item.id === entity.sportId);
+  return Boolean(sport && !sport.archivedAt);
+}
+
+// What a user may follow: live sports, and the teams, players and leagues of the listed catalog that
+// the interest editor offers.
+function isFollowableEntity(store, entityType, entityId) {
+  if (!isActiveCatalogEntity(store, entityType, entityId)) return false;
+  if (entityType === 'sport') return true;
+  const collection = { team: store.teams, player: store.players, league: store.leagues }[entityType];
+  const entity = collection.find((item) => item.id === entityId);
+  return isListedCatalogEntity(entity);
+}
+
+// Follows of archived entities stay in the store, so restoring an entity brings them back, but are
+// hidden here and everywhere built on this.
 function getUserInterests(store, userId) {
-  const follows = store.follows.filter((f) => f.userId === userId);
+  const follows = store.follows.filter((f) => f.userId === userId && isActiveCatalogEntity(store, f.entityType, f.entityId));
   const followedSportIds = follows.filter((f) => f.entityType === 'sport').map((f) => f.entityId);
   const explicitOrder = Array.isArray(store.userSportOrder[userId]) ? store.userSportOrder[userId] : [];
   const inExplicit = explicitOrder.filter((id) => followedSportIds.includes(id));
@@ -694,6 +2912,89 @@ function getEntitySportId(store, entityType, entityId) {
   return null;
 }
 
+// Everything in the store that belongs to a user. Add new per-user collections here and to
+// deleteUserData() below so export and deletion stay complete.
+function collectUserData(store, userId) {
+  const account = store.users.find((u) => u.id === userId);
+  const { passwordHash: _passwordHash, ...profile } = account;
+  const entityName = (entityType, entityId) => {
+    const collection = { sport: store.sports, team: store.teams, player: store.players, league: store.leagues }[entityType];
+    return (collection || []).find((item) => item.id === entityId)?.name || null;
+  };
+  const withoutTokenHash = ({ tokenHash: _tokenHash, ...rest }) => rest;
+  return {
+    exportedAt: new Date().toISOString(),
+    user: profile,
+    sessions: store.sessions.filter((s) => s.userId === userId).map((s) => publicSession(s, null)),
+    follows: store.follows
+      .filter((f) => f.userId === userId)
+      .map((f) => ({ ...f, entityName: entityName(f.entityType, f.entityId) })),
+    sportOrder: store.userSportOrder[userId] || [],
+    // Requests the user made are theirs in full, except who else voted; ones they only voted on
+    // belong to someone else and are exported as anyone would see them.
+    sportRequests: store.sportRequests
+      .filter((r) => r.userId === userId)
+      .map(({ voterIds, ...request }) => ({ ...request, votes: voterIds.length, voted: voterIds.includes(userId) })),
+    votedSportRequests: store.sportRequests
+      .filter((r) => r.userId !== userId && r.voterIds.includes(userId))
+      .map((r) => publicSportRequest(store, r, userId)),
+    passwordResets: store.passwordResets.filter((r) => r.userId === userId).map(withoutTokenHash),
+    emailVerifications: store.emailVerifications.filter((r) => r.userId === userId).map(withoutTokenHash),
+    apiTokens: store.apiTokens.filter((t) => t.userId === userId).map(publicApiToken),
+    auditLog: store.auditLog.filter((entry) => entry.actor.userId === userId),
+    loginThrottle: store.authThrottles[`account:${account.email}`] || null,
+  };
+}
+
+// Removes the user and everything tied to them. Sport requests are kept as anonymous demand
+// signals, with the free-text reason dropped.
+function deleteUserData(store, userId) {
+  const account = store.users.find((u) => u.id === userId);
+  store.users = store.users.filter((u) => u.id !== userId);
+  store.sessions = store.sessions.filter((s) => s.userId !== userId);
+  store.follows = store.follows.filter((f) => f.userId !== userId);
+  delete store.userSportOrder[userId];
+  store.passwordResets = store.passwordResets.filter((r) => r.userId !== userId);
+  store.emailVerifications = store.emailVerifications.filter((r) => r.userId !== userId);
+  store.apiTokens = store.apiTokens.filter((t) => t.userId !== userId);
+  if (account) delete store.authThrottles[`account:${account.email}`];
+  store.sportRequests.forEach((request) => {
+    request.voterIds = request.voterIds.filter((id) => id !== userId);
+    if (request.userId !== userId) return;
+    request.userId = null;
+    request.reason = '';
+    request.anonymizedAt = new Date().toISOString();
+  });
+}
+
+// What requesters see: statuses and vote counts, never who else voted.
+function publicSportRequest(store, request, userId) {
+  const sport = request.sportId ? store.sports.find((item) => item.id === request.sportId) : null;
+  return {
+    id: request.id,
+    sportName: request.sportName,
+    status: request.status,
+    votes: request.voterIds.length,
+    voted: request.voterIds.includes(userId),
+    createdAt: request.createdAt,
+    reviewedAt: request.reviewedAt || null,
+    note: request.reviewNote || null,
+    sport: sport && !sport.archivedAt ? { id: sport.id, name: sport.name } : null,
+  };
+}
+
+const SPORT_REQUEST_NOTICE_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Approved or rejected requests the user asked for or voted on, reviewed in the last 30 days.
+function getSportRequestNotices(store, userId, now = Date.now()) {
+  return store.sportRequests
+    .filter((request) => request.status === 'approved' || request.status === 'rejected')
+    .filter((request) => request.voterIds.includes(userId) && request.reviewedAt)
+    .filter((request) => now - new Date(request.reviewedAt).getTime() <= SPORT_REQUEST_NOTICE_WINDOW_MS)
+    .sort((a, b) => b.reviewedAt.localeCompare(a.reviewedAt))
+    .map((request) => ({ type: 'sport-request', date: request.reviewedAt, request: publicSportRequest(store, request, userId) }));
+}
+
 function upsertUserFollows(store, userId, items) {
   const now = new Date().toISOString();
   const existing = new Set(store.follows.filter((f) => f.userId === userId).map((f) => `${f.entityType}:${f.entityId}`));
@@ -708,6 +3009,9 @@ function upsertUserFollows(store, userId, items) {
 async function handleApi(req, res, url) {
   const store = readStore();
 
+  const csrfError = checkCsrf(req, url, store);
+  if (csrfError) return sendJson(res, 403, { error: csrfError, code: 'csrf' });
+
   if (req.method === 'POST' && url.pathname === '/api/auth/signup') {
     const body = await parseJsonBody(req);
     const email = String(body.email || '').toLowerCase().trim();
@@ -722,6 +3026,17 @@ async function handleApi(req, res, url) {
       return sendJson(res, 400, { error: 'Password must be 8+ chars and include at least 1 letter and 1 number.' });
     }
 
+    // Checked before hashing so a flood of signups can't pin the CPU on PBKDF2.
+    const signupKey = `signup:${clientIp(req)}`;
+    const signupLockoutMs = await mutateStore((latest) => {
+      const lockoutMs = getAuthLockoutMs(latest, [signupKey]);
+      if (lockoutMs > 0) return lockoutMs;
+      pruneAuthThrottles(latest);
+      recordAuthAttempt(latest, signupKey);
+      return 0;
+    });
+    if (signupLockoutMs > 0) return sendTooManyAttempts(res, signupLockoutMs);
+
     if (store.users.some((u) => u.email === email)) {
       return sendJson(res, 409, { error: 'User already exists.' });
     }
@@ -731,19 +3046,32 @@ async function handleApi(req, res, url) {
       email,
       name: name || email.split('@')[0],
       passwordHash: createPasswordHash(password),
+      emailVerifiedAt: null,
+      roles: [],
       createdAt: new Date().toISOString(),
     };
 
-    store.users.push(user);
-    const sid = newId('sid');
-    store.sessions.push({ id: sid, userId: user.id, createdAt: new Date().toISOString() });
-    writeStore(store);
+    const session = createSession(req, user.id);
+    const created = await mutateStore((latest) => {
+      // Re-check against the latest state: another signup for this email may have landed meanwhile.
+      if (latest.users.some((u) => u.email === email)) return false;
+      latest.users.push(user);
+      pruneExpiredSessions(latest);
+      latest.sessions.push(session);
+      return true;
+    });
+    if (!created) {
+      return sendJson(res, 409, { error: 'User already exists.' });
+    }
 
-    const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
-    res.setHeader('Set-Cookie', `sid=${encodeURIComponent(sid)}; HttpOnly; SameSite=Lax; Path=/${secure}`);
-    return sendJson(res, 201, {
-      user: { id: user.id, email: user.email, name: user.name },
+    setSessionCookie(res, session.id);
+    sendJson(res, 201, {
+      user: publicUser(user),
+      csrfToken: session.csrfToken,
     });
+    // The account exists either way; if the mail doesn't go out, the user can resend it from the app.
+    sendEmailVerification(user).catch((err) => console.error(`Verification email failed: ${err.message}`));
+    return;
   }
 
   if (req.method === 'POST' && url.pathname === '/api/auth/login') {
@@ -755,37 +3083,435 @@ async function handleApi(req, res, url) {
       return sendJson(res, 400, { error: 'Please enter a valid email address.' });
     }
 
-    const user = store.users.find((u) => u.email === email);
-    if (!user || !verifyPassword(password, user.passwordHash)) {
-      return sendJson(res, 401, { error: 'Invalid credentials.' });
-    }
-
-    const sid = newId('sid');
-    store.sessions.push({ id: sid, userId: user.id, createdAt: new Date().toISOString() });
-    writeStore(store);
+    // Checked before verifyPassword so locked-out callers never reach the expensive PBKDF2.
+    const accountKey = `account:${email}`;
+    const ipKey = `ip:${clientIp(req)}`;
+    const attempt = await verifyPasswordAttempt([accountKey, ipKey], (latest) => latest.users.find((u) => u.email === email), password);
+    if (attempt.lockoutMs > 0) return sendTooManyAttempts(res, attempt.lockoutMs);
+    const user = attempt.account;
+    if (!user) return sendJson(res, 401, { error: 'Invalid credentials.' });
+
+    // Rotate: whatever sid this browser presented before logging in is dropped, so a pre-login
+    // (possibly planted) session id never becomes authenticated.
+    const previousSid = parseCookies(req).sid;
+    const session = createSession(req, user.id);
+    await mutateStore((latest) => {
+      pruneExpiredSessions(latest);
+      if (previousSid) latest.sessions = latest.sessions.filter((s) => s.id !== previousSid);
+      latest.sessions.push(session);
+      delete latest.authThrottles[accountKey];
+    });
 
-    const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
-    res.setHeader('Set-Cookie', `sid=${encodeURIComponent(sid)}; HttpOnly; SameSite=Lax; Path=/${secure}`);
+    setSessionCookie(res, session.id);
     return sendJson(res, 200, {
-      user: { id: user.id, email: user.email, name: user.name },
+      user: publicUser(user),
+      csrfToken: session.csrfToken,
     });
   }
 
   if (req.method === 'POST' && url.pathname === '/api/auth/logout') {
     const sid = parseCookies(req).sid;
     if (sid) {
-      store.sessions = store.sessions.filter((s) => s.id !== sid);
-      writeStore(store);
+      await mutateStore((latest) => {
+        latest.sessions = latest.sessions.filter((s) => s.id !== sid);
+      });
     }
-    res.setHeader('Set-Cookie', 'sid=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0');
+    clearSessionCookie(res);
     return sendJson(res, 200, { ok: true });
   }
 
+  if (req.method === 'POST' && url.pathname === '/api/auth/password-reset/request') {
+    const body = await parseJsonBody(req);
+    const email = String(body.email || '').toLowerCase().trim();
+    if (!isValidEmail(email)) {
+      return sendJson(res, 400, { error: 'Please enter a valid email address.' });
+    }
+
+    // Same response whether or not the account exists, so this can't be used to probe emails: every
+    // request is counted per email and per IP, and the throttle check, the count and the token are one
+    // store write in both cases. The email goes out after the response.
+    const response = { ok: true, message: 'If an account exists for that email, a reset link is on its way.' };
+    const resetKeys = [`reset:${email}`, `reset-ip:${clientIp(req)}`];
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const result = await mutateStore((latest) => {
+      const lockoutMs = getAuthLockoutMs(latest, resetKeys, now);
+      if (lockoutMs > 0) return { lockoutMs };
+      pruneAuthThrottles(latest, now);
+      resetKeys.forEach((key) => recordAuthAttempt(latest, key, now));
+      const account = latest.users.find((u) => u.email === email);
+      if (!account) return { lockoutMs: 0, account: null };
+      // Only the newest link works: a user never has more than one outstanding reset token.
+      latest.passwordResets = latest.passwordResets.filter(
+        (reset) => reset.userId !== account.id && new Date(reset.expiresAt).getTime() > now
+      );
+      latest.passwordResets.push({
+        id: newId('pwr'),
+        userId: account.id,
+        tokenHash: hashToken(token),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + PASSWORD_RESET_TTL_MS).toISOString(),
+        usedAt: null,
+      });
+      return { lockoutMs: 0, account };
+    });
+    if (result.lockoutMs > 0) return sendTooManyAttempts(res, result.lockoutMs);
+    sendJson(res, 200, response);
+    if (!result.account) return;
+
+    const minutes = Math.round(PASSWORD_RESET_TTL_MS / 60000);
+    mailer
+      .send({
+        to: result.account.email,
+        subject: 'Reset your Sports One password',
+        text: [
+          `Hi ${result.account.name},`,
+          '',
+          'Someone asked to reset the password for your Sports One account.',
+          `Open this link within ${minutes} minutes to choose a new password:`,
+          '',
+          `${APP_BASE_URL}/#reset=${token}`,
+          '',
+          'If this was not you, you can ignore this email.',
+        ].join('\n'),
+      })
+      .catch((err) => console.error(`Password reset email failed: ${err.message}`));
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/auth/password-reset/confirm') {
+    const body = await parseJsonBody(req);
+    const token = String(body.token || '').trim();
+    const password = String(body.password || '');
+    if (!token) {
+      return sendJson(res, 400, { error: 'Reset link is invalid or has expired.' });
+    }
+    if (!isStrongPassword(password)) {
+      return sendJson(res, 400, { error: 'Password must be 8+ chars and include at least 1 letter and 1 number.' });
+    }
+
+    const passwordHash = createPasswordHash(password);
+    const tokenHash = hashToken(token);
+    const reset = await mutateStore((latest) => {
+      const match = latest.passwordResets.find((item) => item.tokenHash === tokenHash);
+      if (!match || match.usedAt || new Date(match.expiresAt).getTime() <= Date.now()) return null;
+      const account = latest.users.find((u) => u.id === match.userId);
+      if (!account) return null;
+      match.usedAt = new Date().toISOString();
+      account.passwordHash = passwordHash;
+      // Whoever knew the old password is signed out everywhere, API tokens included.
+      latest.sessions = latest.sessions.filter((s) => s.userId !== account.id);
+      revokeApiTokens(latest, account.id);
+      return match;
+    });
+    if (!reset) {
+      return sendJson(res, 400, { error: 'Reset link is invalid or has expired.' });
+    }
+    clearSessionCookie(res);
+    return sendJson(res, 200, { ok: true });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/auth/verify-email') {
+    const body = await parseJsonBody(req);
+    const tokenHash = hashToken(String(body.token || '').trim());
+    const verified = await mutateStore((latest) => {
+      const match = latest.emailVerifications.find((item) => item.tokenHash === tokenHash);
+      if (!match || match.usedAt || new Date(match.expiresAt).getTime() <= Date.now()) return null;
+      const account = latest.users.find((u) => u.id === match.userId);
+      if (!account) return null;
+      if (account.pendingEmail && match.email === account.pendingEmail) {
+        // Confirms a requested email change: only now does the new address replace the old one.
+        if (latest.users.some((u) => u.id !== account.id && u.email === match.email)) return { conflict: true };
+        const previousEmail = account.email;
+        match.usedAt = new Date().toISOString();
+        account.email = match.email;
+        account.emailVerifiedAt = match.usedAt;
+        delete account.pendingEmail;
+        return { user: publicUser(account), previousEmail };
+      }
+      // A link sent to an address the account no longer uses proves nothing.
+      if (account.email !== match.email) return null;
+      match.usedAt = new Date().toISOString();
+      account.emailVerifiedAt = account.emailVerifiedAt || match.usedAt;
+      return { user: publicUser(account) };
+    });
+    if (!verified) {
+      return sendJson(res, 400, { error: 'Verification link is invalid or has expired.' });
+    }
+    if (verified.conflict) return sendJson(res, 409, { error: 'That email is already in use.' });
+    if (verified.previousEmail) {
+      await mailer.send({
+        to: verified.previousEmail,
+        subject: 'Your Sports One email was changed',
+        text: [
+          `Hi ${verified.user.name},`,
+          '',
+          `The email on your Sports One account was changed from ${verified.previousEmail} to ${verified.user.email}.`,
+          'If you did not make this change, contact support right away.',
+        ].join('\n'),
+      });
+    }
+    return sendJson(res, 200, { ok: true, user: verified.user });
+  }
+
+  const session = getSession(req, store);
   const user = getSessionUser(req, store);
+  if (bearerToken(req)) {
+    const apiToken = getApiToken(req, store);
+    if (!apiToken || !user) return sendJson(res, 401, { error: 'Invalid or revoked API token.' });
+    const scope = apiTokenScopeFor(req.method, url.pathname);
+    if (!scope || !apiToken.scopes.includes(scope)) {
+      return sendJson(res, 403, {
+        error: scope ? `This API token is missing the "${scope}" scope.` : 'API tokens cannot be used for this endpoint.',
+      });
+    }
+    if (!apiToken.lastUsedAt || Date.now() - new Date(apiToken.lastUsedAt).getTime() > API_TOKEN_TOUCH_INTERVAL_MS) {
+      await mutateStore((latest) => {
+        const current = latest.apiTokens.find((token) => token.id === apiToken.id);
+        if (current) current.lastUsedAt = new Date().toISOString();
+      });
+    }
+  } else if (session && Date.now() - new Date(session.lastSeenAt || session.createdAt).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    await mutateStore((latest) => {
+      const current = latest.sessions.find((s) => s.id === session.id);
+      if (current) current.lastSeenAt = new Date().toISOString();
+    });
+  }
 
   if (req.method === 'GET' && url.pathname === '/api/me') {
     if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
-    return sendJson(res, 200, { user: { id: user.id, name: user.name, email: user.email } });
+    return sendJson(res, 200, { user: publicUser(user), csrfToken: session ? session.csrfToken : null });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/auth/verify-email/resend') {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    if (user.emailVerifiedAt && !user.pendingEmail) return sendJson(res, 200, { ok: true, alreadyVerified: true });
+    const now = Date.now();
+    const recent = store.emailVerifications
+      .filter((item) => item.userId === user.id && now - new Date(item.createdAt).getTime() < 24 * 60 * 60 * 1000)
+      .map((item) => new Date(item.createdAt).getTime())
+      .sort((a, b) => b - a);
+    const retryAfterMs =
+      recent.length >= EMAIL_VERIFICATION_MAX_PER_DAY
+        ? recent[EMAIL_VERIFICATION_MAX_PER_DAY - 1] + 24 * 60 * 60 * 1000 - now
+        : recent.length > 0
+          ? recent[0] + EMAIL_VERIFICATION_RESEND_INTERVAL_MS - now
+          : 0;
+    if (retryAfterMs > 0) {
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      res.setHeader('Retry-After', String(retryAfter));
+      return sendJson(res, 429, {
+        error: `Please wait ${retryAfter < 120 ? `${retryAfter} seconds` : `${Math.ceil(retryAfter / 60)} minutes`} before requesting another email.`,
+        retryAfter,
+      });
+    }
+    await sendEmailVerification(user, user.pendingEmail || user.email);
+    return sendJson(res, 200, { ok: true });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/me/profile') {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    const body = await parseJsonBody(req);
+    const name = String(body.name || '').trim();
+    if (name.length < 1 || name.length > 60) {
+      return sendJson(res, 400, { error: 'Name must be between 1 and 60 characters.' });
+    }
+    const updated = await mutateStore((latest) => {
+      const account = latest.users.find((u) => u.id === user.id);
+      account.name = name;
+      return publicUser(account);
+    });
+    return sendJson(res, 200, { ok: true, user: updated });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/me/email') {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    const body = await parseJsonBody(req);
+    const email = String(body.email || '').toLowerCase().trim();
+    const currentPassword = String(body.currentPassword || '');
+    if (!isValidEmail(email)) {
+      return sendJson(res, 400, { error: 'Please enter a valid email address.' });
+    }
+    if (email === user.email) {
+      return sendJson(res, 400, { error: 'That is already your email address.' });
+    }
+
+    const accountKey = `account:${user.email}`;
+    const attempt = await verifyPasswordAttempt([accountKey], (latest) => latest.users.find((u) => u.id === user.id), currentPassword);
+    if (attempt.lockoutMs > 0) return sendTooManyAttempts(res, attempt.lockoutMs);
+    if (!attempt.account) return sendJson(res, 401, { error: 'Current password is incorrect.' });
+
+    // The current email stays in place, for login and password resets, until the link sent to the new
+    // address is opened; a typo or a hijacked session can't redirect account mail on its own.
+    const updated = await mutateStore((latest) => {
+      if (latest.users.some((u) => u.email === email)) return null;
+      const account = latest.users.find((u) => u.id === user.id);
+      account.pendingEmail = email;
+      return account;
+    });
+    if (!updated) return sendJson(res, 409, { error: 'That email is already in use.' });
+
+    await sendEmailVerification(updated, email);
+    await mailer.send({
+      to: updated.email,
+      subject: 'Your Sports One email is about to change',
+      text: [
+        `Hi ${updated.name},`,
+        '',
+        `Someone asked to change the email on your Sports One account from ${updated.email} to ${email}.`,
+        'The change takes effect once the new address is confirmed.',
+        'If you did not ask for this, reset your password right away.',
+      ].join('\n'),
+    });
+    return sendJson(res, 200, { ok: true, user: publicUser(updated) });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/me/password') {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    const body = await parseJsonBody(req);
+    const currentPassword = String(body.currentPassword || '');
+    const newPassword = String(body.newPassword || '');
+    if (!isStrongPassword(newPassword)) {
+      return sendJson(res, 400, { error: 'Password must be 8+ chars and include at least 1 letter and 1 number.' });
+    }
+
+    const accountKey = `account:${user.email}`;
+    const attempt = await verifyPasswordAttempt([accountKey], (latest) => latest.users.find((u) => u.id === user.id), currentPassword);
+    if (attempt.lockoutMs > 0) return sendTooManyAttempts(res, attempt.lockoutMs);
+    if (!attempt.account) return sendJson(res, 401, { error: 'Current password is incorrect.' });
+
+    const passwordHash = createPasswordHash(newPassword);
+    const revoked = await mutateStore((latest) => {
+      const account = latest.users.find((u) => u.id === user.id);
+      account.passwordHash = passwordHash;
+      // Keep this browser signed in; every other device has to log in with the new password.
+      const before = latest.sessions.length;
+      latest.sessions = latest.sessions.filter((s) => s.userId !== user.id || s.id === session.id);
+      return { sessions: before - latest.sessions.length, tokens: body.revokeApiTokens === true ? revokeApiTokens(latest, user.id) : 0 };
+    });
+    return sendJson(res, 200, { ok: true, revokedSessions: revoked.sessions, revokedTokens: revoked.tokens });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/me/export') {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    const archive = collectUserData(store, user.id);
+    const fileName = `sports-one-export-${new Date().toISOString().slice(0, 10)}.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    return sendJson(res, 200, archive);
+  }
+
+  if (req.method === 'DELETE' && url.pathname === '/api/me') {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    const body = await parseJsonBody(req);
+    const accountKey = `account:${user.email}`;
+    const attempt = await verifyPasswordAttempt([accountKey], (latest) => latest.users.find((u) => u.id === user.id), String(body.password || ''));
+    if (attempt.lockoutMs > 0) return sendTooManyAttempts(res, attempt.lockoutMs);
+    if (!attempt.account) return sendJson(res, 401, { error: 'Password is incorrect.' });
+
+    const result = await mutateStore((latest) => {
+      const isAdmin = normalizeRoles(latest.users.find((u) => u.id === user.id)?.roles).includes('admin');
+      const otherAdmins = latest.users.filter((u) => u.id !== user.id && normalizeRoles(u.roles).includes('admin'));
+      if (isAdmin && otherAdmins.length === 0) return { error: 'Promote another admin before deleting the last admin account.' };
+      deleteUserData(latest, user.id);
+      return { ok: true };
+    });
+    if (result.error) return sendJson(res, 409, { error: result.error });
+    clearSessionCookie(res);
+    return sendJson(res, 200, { ok: true });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/me/tokens') {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    const tokens = store.apiTokens
+      .filter((token) => token.userId === user.id)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(publicApiToken);
+    return sendJson(res, 200, { tokens, scopes: API_TOKEN_SCOPES });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/me/tokens') {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    const body = await parseJsonBody(req);
+    const name = String(body.name || '').trim();
+    const scopes = normalizeIdArray(body.scopes);
+    if (name.length < 1 || name.length > 60) {
+      return sendJson(res, 400, { error: 'Token name must be between 1 and 60 characters.' });
+    }
+    if (scopes.length === 0 || scopes.some((scope) => !API_TOKEN_SCOPES[scope])) {
+      return sendJson(res, 400, { error: `Choose at least one scope: ${Object.keys(API_TOKEN_SCOPES).join(', ')}.` });
+    }
+
+    const raw = `so_${crypto.randomBytes(24).toString('hex')}`;
+    const token = {
+      id: newId('tok'),
+      userId: user.id,
+      name,
+      scopes,
+      prefix: raw.slice(0, 10),
+      tokenHash: hashToken(raw),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+    };
+    const created = await mutateStore((latest) => {
+      if (latest.apiTokens.filter((item) => item.userId === user.id).length >= API_TOKEN_LIMIT_PER_USER) return false;
+      latest.apiTokens.push(token);
+      return true;
+    });
+    if (!created) {
+      return sendJson(res, 409, { error: `You can have at most ${API_TOKEN_LIMIT_PER_USER} API tokens. Revoke one first.` });
+    }
+    // The plaintext token is only ever returned here; the store keeps its hash.
+    return sendJson(res, 201, { ok: true, token: raw, apiToken: publicApiToken(token) });
+  }
+
+  const apiTokenMatch = url.pathname.match(/^\/api\/me\/tokens\/([^/]+)$/);
+  if (req.method === 'DELETE' && apiTokenMatch) {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    const revoked = await mutateStore((latest) => {
+      const before = latest.apiTokens.length;
+      latest.apiTokens = latest.apiTokens.filter((token) => !(token.userId === user.id && token.id === apiTokenMatch[1]));
+      return latest.apiTokens.length < before;
+    });
+    if (!revoked) return sendJson(res, 404, { error: 'API token not found.' });
+    return sendJson(res, 200, { ok: true });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/me/sessions') {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    const now = Date.now();
+    const sessions = store.sessions
+      .filter((s) => s.userId === user.id && isSessionActive(s, now))
+      .sort((a, b) => (b.lastSeenAt || b.createdAt).localeCompare(a.lastSeenAt || a.createdAt))
+      .map((s) => publicSession(s, session.id));
+    return sendJson(res, 200, { sessions });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/me/sessions/revoke-others') {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    const body = await parseJsonBody(req);
+    const revoked = await mutateStore((latest) => {
+      const before = latest.sessions.length;
+      latest.sessions = latest.sessions.filter((s) => s.userId !== user.id || s.id === session.id);
+      return { sessions: before - latest.sessions.length, tokens: body.revokeApiTokens === true ? revokeApiTokens(latest, user.id) : 0 };
+    });
+    return sendJson(res, 200, { ok: true, revoked: revoked.sessions, revokedTokens: revoked.tokens });
+  }
+
+  const sessionRevokeMatch = url.pathname.match(/^\/api\/me\/sessions\/([^/]+)$/);
+  if (req.method === 'DELETE' && sessionRevokeMatch) {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    const handle = sessionRevokeMatch[1];
+    if (handle === sessionHandle(session.id)) {
+      return sendJson(res, 400, { error: 'Use log out to end the current session.' });
+    }
+    const revoked = await mutateStore((latest) => {
+      const target = latest.sessions.find((s) => s.userId === user.id && sessionHandle(s.id) === handle);
+      if (!target) return false;
+      latest.sessions = latest.sessions.filter((s) => s.id !== target.id);
+      return true;
+    });
+    if (!revoked) return sendJson(res, 404, { error: 'Session not found.' });
+    return sendJson(res, 200, { ok: true });
   }
 
   if (req.method === 'GET' && url.pathname === '/api/onboarding/options') {
@@ -802,6 +3528,75 @@ async function handleApi(req, res, url) {
     return sendJson(res, 200, { sports, query });
   }
 
+  if (req.method === 'GET' && url.pathname === '/api/search') {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    const query = String(url.searchParams.get('q') || '').trim();
+    if (normalizeName(query).length < 2) return sendJson(res, 400, { error: 'Search for at least 2 characters.' });
+    const requestedTypes = String(url.searchParams.get('types') || '')
+      .split(',')
+      .map((type) => type.trim())
+      .filter(Boolean);
+    if (requestedTypes.some((type) => !SEARCH_TYPES.includes(type))) {
+      return sendJson(res, 400, { error: `types must be a comma-separated list of ${SEARCH_TYPES.join(', ')}.` });
+    }
+    const limit = Number(url.searchParams.get('limit') || 8);
+    const safeLimit = Number.isFinite(limit) ? Math.max(1, Math.min(50, limit)) : 8;
+    const groups = searchCatalog(
+      store,
+      query,
+      user.id,
+      SEARCH_TYPES.filter((type) => requestedTypes.length === 0 || requestedTypes.includes(type)),
+      safeLimit
+    );
+    const total = Object.values(groups).reduce((sum, results) => sum + results.length, 0);
+    return sendJson(res, 200, { query, groups, total });
+  }
+
+  // Follow or unfollow one entity, e.g. from search results. Following a team, player or league also
+  // follows its sport, since the feed is built per followed sport; unfollowing a sport drops the
+  // follows under it, like deselecting it in the sports picker.
+  if (req.method === 'POST' && url.pathname === '/api/me/follows') {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    if (!requireVerifiedFor(user, 'interests', res)) return;
+    const body = await parseJsonBody(req);
+    const entityType = String(body.entityType || '');
+    const entityId = String(body.entityId || '');
+    if (!['sport', 'team', 'player', 'league'].includes(entityType)) {
+      return sendJson(res, 400, { error: 'entityType must be sport, team, player or league.' });
+    }
+    if (!isFollowableEntity(store, entityType, entityId)) return sendJson(res, 404, { error: 'Not found.' });
+    const interests = await mutateStore((latest) => {
+      const sportId = entityType === 'sport' ? entityId : getEntitySportId(latest, entityType, entityId);
+      upsertUserFollows(latest, user.id, [
+        { entityType: 'sport', entityId: sportId },
+        ...(entityType === 'sport' ? [] : [{ entityType, entityId }]),
+      ]);
+      delete latest.feedCacheBySport[sportId];
+      return getUserInterests(latest, user.id);
+    });
+    return sendJson(res, 200, { ok: true, interests });
+  }
+
+  const followMatch = url.pathname.match(/^\/api\/me\/follows\/(sport|team|player|league)\/([^/]+)$/);
+  if (req.method === 'DELETE' && followMatch) {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    if (!requireVerifiedFor(user, 'interests', res)) return;
+    const [, entityType, entityId] = followMatch;
+    const interests = await mutateStore((latest) => {
+      latest.follows = latest.follows.filter((f) => {
+        if (f.userId !== user.id) return true;
+        if (f.entityType === entityType && f.entityId === entityId) return false;
+        return !(entityType === 'sport' && f.entityType !== 'sport' && getEntitySportId(latest, f.entityType, f.entityId) === entityId);
+      });
+      if (entityType === 'sport' && Array.isArray(latest.userSportOrder[user.id])) {
+        latest.userSportOrder[user.id] = latest.userSportOrder[user.id].filter((id) => id !== entityId);
+      }
+      delete latest.feedCacheBySport[entityType === 'sport' ? entityId : getEntitySportId(latest, entityType, entityId)];
+      return getUserInterests(latest, user.id);
+    });
+    return sendJson(res, 200, { ok: true, interests });
+  }
+
   if (req.method === 'GET' && url.pathname === '/api/home/feed') {
     if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
     const interests = getUserInterests(store, user.id);
@@ -815,7 +3610,7 @@ async function handleApi(req, res, url) {
     const sections = [];
     const cacheTtlMs = 5 * 60 * 1000;
     let liveFetches = 0;
-    let cacheUpdated = false;
+    const cacheWrites = [];
     for (const sport of sports) {
       const selectedTeamIdsForSport = interests.teamIds.filter((teamId) =>
         store.teams.some((team) => team.id === teamId && team.sportId === sport.id)
@@ -848,7 +3643,7 @@ async function handleApi(req, res, url) {
       if (!cacheFresh && liveFetches < 2) {
         liveFetches += 1;
         highlights = await withTimeout(
-          fetchSportHighlightsFromSportsDb(store, sport.id, 3, selectedLeagueIdsForSport),
+          fetchSportHighlights(store, sport.id, 3, selectedLeagueIdsForSport),
           1800,
           highlights
         );
@@ -864,22 +3659,15 @@ async function handleApi(req, res, url) {
             source: item.league || sport.name,
           }));
         }
-        const nextSportCache =
-          sportCache && typeof sportCache === 'object' && !Array.isArray(sportCache) && !sportCache.fetchedAt
-            ? { ...sportCache }
-            : {};
-        nextSportCache[preferenceKey] = {
-          fetchedAt: new Date().toISOString(),
-          highlights: highlights.slice(0, 3),
-          news: news.slice(0, 3),
-        };
-        const entries = Object.entries(nextSportCache).sort((a, b) => {
-          const aTime = new Date((a[1] && a[1].fetchedAt) || 0).getTime();
-          const bTime = new Date((b[1] && b[1].fetchedAt) || 0).getTime();
-          return bTime - aTime;
+        cacheWrites.push({
+          sportId: sport.id,
+          preferenceKey,
+          entry: {
+            fetchedAt: new Date().toISOString(),
+            highlights: highlights.slice(0, 3),
+            news: news.slice(0, 3),
+          },
         });
-        store.feedCacheBySport[sport.id] = Object.fromEntries(entries.slice(0, 8));
-        cacheUpdated = true;
       }
 
       sections.push({
@@ -893,51 +3681,72 @@ async function handleApi(req, res, url) {
         news: news.slice(0, 3),
       });
     }
-    if (cacheUpdated) writeStore(store);
-    return sendJson(res, 200, { sections, total: sections.length });
+    if (cacheWrites.length > 0) {
+      // The live fetches above can take seconds; merge into the latest cache instead of writing back
+      // the snapshot this request started from.
+      await mutateStore((latest) => {
+        cacheWrites.forEach(({ sportId, preferenceKey, entry }) => {
+          const sportCache = latest.feedCacheBySport[sportId];
+          const nextSportCache =
+            sportCache && typeof sportCache === 'object' && !Array.isArray(sportCache) && !sportCache.fetchedAt
+              ? { ...sportCache }
+              : {};
+          nextSportCache[preferenceKey] = entry;
+          const entries = Object.entries(nextSportCache).sort((a, b) => {
+            const aTime = new Date((a[1] && a[1].fetchedAt) || 0).getTime();
+            const bTime = new Date((b[1] && b[1].fetchedAt) || 0).getTime();
+            return bTime - aTime;
+          });
+          latest.feedCacheBySport[sportId] = Object.fromEntries(entries.slice(0, 8));
+        });
+      });
+    }
+    const notices = [...getSportRequestNotices(store, user.id), ...getTransferNotices(store, interests)];
+    return sendJson(res, 200, { sections, total: sections.length, notices });
   }
 
   if (req.method === 'POST' && url.pathname === '/api/me/sports') {
     if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    if (!requireVerifiedFor(user, 'interests', res)) return;
     const body = await parseJsonBody(req);
     const sportIds = normalizeIdArray(body.sportIds);
     if (sportIds.length === 0) {
       return sendJson(res, 400, { error: 'Select at least one sport.' });
     }
 
-    const validSportIds = new Set(store.sports.map((s) => s.id));
+    const validSportIds = new Set(store.sports.filter((s) => !s.archivedAt).map((s) => s.id));
     if (sportIds.some((id) => !validSportIds.has(id))) {
       return sendJson(res, 400, { error: 'Invalid sport ids in request.' });
     }
     const selectedSportIds = new Set(sportIds);
 
-    // Remove old sport follows and preferences for sports that were removed.
-    store.follows = store.follows.filter((follow) => {
-      if (follow.userId !== user.id) return true;
-      if (follow.entityType === 'sport') return false;
-      if (follow.entityType === 'team' || follow.entityType === 'player' || follow.entityType === 'league') {
-        const sportId = getEntitySportId(store, follow.entityType, follow.entityId);
-        if (!sportId) return false;
-        return selectedSportIds.has(sportId);
-      }
-      return true;
-    });
+    await mutateStore((latest) => {
+      // Remove old sport follows and preferences for sports that were removed.
+      latest.follows = latest.follows.filter((follow) => {
+        if (follow.userId !== user.id) return true;
+        if (follow.entityType === 'sport') return !isActiveCatalogEntity(latest, 'sport', follow.entityId);
+        if (follow.entityType === 'team' || follow.entityType === 'player' || follow.entityType === 'league') {
+          const sportId = getEntitySportId(latest, follow.entityType, follow.entityId);
+          if (!sportId) return false;
+          return selectedSportIds.has(sportId);
+        }
+        return true;
+      });
 
-    // Re-add sport follows in provided order so newest selections appear last.
-    const now = Date.now();
-    sportIds.forEach((sportId, idx) => {
-      store.follows.push({
-        id: newId('fol'),
-        userId: user.id,
-        entityType: 'sport',
-        entityId: sportId,
-        createdAt: new Date(now + idx).toISOString(),
+      // Re-add sport follows in provided order so newest selections appear last.
+      const now = Date.now();
+      sportIds.forEach((sportId, idx) => {
+        latest.follows.push({
+          id: newId('fol'),
+          userId: user.id,
+          entityType: 'sport',
+          entityId: sportId,
+          createdAt: new Date(now + idx).toISOString(),
+        });
       });
+      latest.userSportOrder[user.id] = [...sportIds];
+      latest.feedCacheBySport = {};
     });
-    store.userSportOrder[user.id] = [...sportIds];
-    store.feedCacheBySport = {};
-
-    writeStore(store);
     return sendJson(res, 200, { ok: true });
   }
 
@@ -946,27 +3755,30 @@ async function handleApi(req, res, url) {
     if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
     const sportId = sportOptionsMatch[1];
     const sport = store.sports.find((item) => item.id === sportId);
-    if (!sport) return sendJson(res, 404, { error: 'Sport not found.' });
+    if (!sport || sport.archivedAt) return sendJson(res, 404, { error: 'Sport not found.' });
     const force = url.searchParams.get('refresh') === '1';
-    const existing = getRealCatalogForSport(store, sportId);
-    const shouldSync = force || (existing.teams.length === 0 && existing.players.length === 0 && existing.leagues.length === 0);
-    let sync = { ok: true, skipped: true, reason: 'cached' };
-    if (shouldSync) {
-      sync = await syncSportCatalogFromSportsDb(store, sportId, {
-        force: true,
-        maxLeagues: 4,
-        maxTeams: 40,
-        maxPlayerTeams: 8,
-        playersPerTeamCap: 12,
-        maxDurationMs: 8000,
+    const real = getRealCatalogForSport(store, sportId);
+    // A few hand-made entries should not stop the first provider sync.
+    const provided = getProviderCatalogForSport(store, sportId);
+    const isEmpty = provided.teams.length === 0 && provided.players.length === 0 && provided.leagues.length === 0;
+    const lastAttemptAt = new Date((store.catalogSyncState[sportId] || {}).lastAttemptAt || 0).getTime();
+    let job = findActiveSyncJob(sportId);
+    if (!job && (force || (isEmpty && Date.now() - lastAttemptAt > CATALOG_SYNC_RETRY_MS))) {
+      job = enqueueCatalogSync(sportId, {
+        reason: force ? 'refresh' : 'on-demand',
+        audit: auditContext(req, user),
+        options: { maxLeagues: 4, maxTeams: 40, maxPlayerTeams: 8, playersPerTeamCap: 12, maxDurationMs: 8000 },
       });
-      writeStore(store);
     }
+    const sync = job ? { status: job.status, jobId: job.id } : { status: 'cached' };
     const interests = getUserInterests(store, user.id);
-    const real = getRealCatalogForSport(store, sportId);
+    const realLeagueIds = new Set(real.leagues.map((league) => league.id));
     return sendJson(res, 200, {
       sport,
-      teams: real.teams,
+      teams: real.teams.map((team) => ({
+        ...team,
+        leagueIds: getTeamLeagueIds(store, team.id).filter((leagueId) => realLeagueIds.has(leagueId)),
+      })),
       players: real.players,
       leagues: real.leagues,
       selected: {
@@ -978,12 +3790,33 @@ async function handleApi(req, res, url) {
     });
   }
 
+  const playerCareerMatch = url.pathname.match(/^\/api\/players\/([^/]+)\/career$/);
+  if (req.method === 'GET' && playerCareerMatch) {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    const player = store.players.find((item) => item.id === playerCareerMatch[1]);
+    if (!player) return sendJson(res, 404, { error: 'Player not found.' });
+    const teamName = (teamId) => store.teams.find((team) => team.id === teamId)?.name || null;
+    // Entries from before history was tracked have no start date and sort first.
+    const career = store.playerTeamHistory
+      .filter((entry) => entry.playerId === player.id)
+      .sort((a, b) => String(a.from || '').localeCompare(String(b.from || '')))
+      .map((entry) => ({
+        teamId: entry.teamId,
+        teamName: teamName(entry.teamId),
+        from: entry.from,
+        to: entry.to,
+        transferredFrom: entry.fromTeamId ? { id: entry.fromTeamId, name: teamName(entry.fromTeamId) } : null,
+      }));
+    return sendJson(res, 200, { player, career });
+  }
+
   const sportInterestsMatch = url.pathname.match(/^\/api\/sports\/([^/]+)\/interests$/);
   if (req.method === 'POST' && sportInterestsMatch) {
     if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    if (!requireVerifiedFor(user, 'interests', res)) return;
     const sportId = sportInterestsMatch[1];
     const sport = store.sports.find((item) => item.id === sportId);
-    if (!sport) return sendJson(res, 404, { error: 'Sport not found.' });
+    if (!sport || sport.archivedAt) return sendJson(res, 404, { error: 'Sport not found.' });
 
     const body = await parseJsonBody(req);
     const teamIds = normalizeIdArray(body.teamIds);
@@ -999,121 +3832,347 @@ async function handleApi(req, res, url) {
       return sendJson(res, 400, { error: 'Invalid team/player/league selection for this sport.' });
     }
 
-    store.follows = store.follows.filter((f) => {
-      if (f.userId !== user.id) return true;
-      if (f.entityType === 'team') return !validTeamIds.has(f.entityId);
-      if (f.entityType === 'player') return !validPlayerIds.has(f.entityId);
-      if (f.entityType === 'league') return !validLeagueIds.has(f.entityId);
-      return true;
-    });
-
-    upsertUserFollows(
-      store,
-      user.id,
-      [
-        ...teamIds.map((entityId) => ({ entityType: 'team', entityId })),
-        ...playerIds.map((entityId) => ({ entityType: 'player', entityId })),
-        ...leagueIds.map((entityId) => ({ entityType: 'league', entityId })),
-      ]
-    );
-    delete store.feedCacheBySport[sportId];
+    await mutateStore((latest) => {
+      latest.follows = latest.follows.filter((f) => {
+        if (f.userId !== user.id) return true;
+        if (f.entityType === 'team') return !validTeamIds.has(f.entityId);
+        if (f.entityType === 'player') return !validPlayerIds.has(f.entityId);
+        if (f.entityType === 'league') return !validLeagueIds.has(f.entityId);
+        return true;
+      });
 
-    writeStore(store);
+      upsertUserFollows(
+        latest,
+        user.id,
+        [
+          ...teamIds.map((entityId) => ({ entityType: 'team', entityId })),
+          ...playerIds.map((entityId) => ({ entityType: 'player', entityId })),
+          ...leagueIds.map((entityId) => ({ entityType: 'league', entityId })),
+        ]
+      );
+      delete latest.feedCacheBySport[sportId];
+    });
     return sendJson(res, 200, { ok: true });
   }
 
   if (req.method === 'POST' && url.pathname === '/api/catalog/sport-requests') {
     if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    if (!requireVerifiedFor(user, 'sport-requests', res)) return;
     const body = await parseJsonBody(req);
     const sportName = String(body.sportName || '').trim();
     const reason = String(body.reason || '').trim();
     if (sportName.length < 2 || sportName.length > 80) {
       return sendJson(res, 400, { error: 'Sport request must be between 2 and 80 characters.' });
     }
+    if (UNSAFE_NAME_CHARACTERS.test(sportName)) {
+      return sendJson(res, 400, { error: 'Sport names cannot contain < > or control characters.' });
+    }
 
     const normalized = normalizeName(sportName);
-    const existsInCatalog = store.sports.some((sport) => normalizeName(sport.name) === normalized);
-    if (existsInCatalog) {
-      return sendJson(res, 409, { error: 'That sport already exists in the catalog.' });
+    const existingSport = findSportByName(store, sportName);
+    if (existingSport) {
+      return sendJson(res, 409, {
+        error: `That sport already exists in the catalog as ${existingSport.name}.`,
+        sport: { id: existingSport.id, name: existingSport.name },
+      });
     }
 
-    const existingRequest = store.sportRequests.find(
-      (request) => request.userId === user.id && request.normalizedName === normalized && request.status === 'pending'
-    );
-    if (existingRequest) {
-      return sendJson(res, 200, { ok: true, request: existingRequest, deduped: true });
+    // One pending request per sport: asking for a sport someone already requested counts as a vote.
+    const result = await mutateStore((latest) => {
+      const existingRequest = latest.sportRequests.find(
+        (request) => request.normalizedName === normalized && request.status === 'pending'
+      );
+      if (existingRequest) {
+        const voted = !existingRequest.voterIds.includes(user.id);
+        if (voted) existingRequest.voterIds.push(user.id);
+        return { request: publicSportRequest(latest, existingRequest, user.id), deduped: true, voted };
+      }
+
+      const request = {
+        id: newId('spr'),
+        userId: user.id,
+        sportName,
+        normalizedName: normalized,
+        reason: reason.slice(0, 240),
+        status: 'pending',
+        voterIds: [user.id],
+        createdAt: new Date().toISOString(),
+      };
+      latest.sportRequests.push(request);
+      return { request: publicSportRequest(latest, request, user.id), deduped: false };
+    });
+    if (result.deduped) {
+      return sendJson(res, 200, { ok: true, request: result.request, deduped: true, voted: result.voted });
     }
+    return sendJson(res, 201, { ok: true, request: result.request });
+  }
 
-    const request = {
-      id: newId('spr'),
-      userId: user.id,
-      sportName,
-      normalizedName: normalized,
-      reason: reason.slice(0, 240),
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-    };
+  if (req.method === 'GET' && url.pathname === '/api/catalog/sport-requests') {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    const query = normalizeName(url.searchParams.get('q') || '');
+    const requests = store.sportRequests
+      .filter((request) => request.status === 'pending' && (!query || request.normalizedName.includes(query)))
+      .sort((a, b) => b.voterIds.length - a.voterIds.length || a.createdAt.localeCompare(b.createdAt))
+      .slice(0, 20)
+      .map((request) => publicSportRequest(store, request, user.id));
+    return sendJson(res, 200, { requests });
+  }
 
-    store.sportRequests.push(request);
-    writeStore(store);
-    return sendJson(res, 201, { ok: true, request });
+  if (req.method === 'GET' && url.pathname === '/api/me/sport-requests') {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    // Merged requests are left out: their votes, including this user's, moved to the survivor.
+    const requests = store.sportRequests
+      .filter((request) => request.voterIds.includes(user.id) && request.status !== 'merged')
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map((request) => publicSportRequest(store, request, user.id));
+    return sendJson(res, 200, { requests });
+  }
+
+  const sportRequestVoteMatch = url.pathname.match(/^\/api\/catalog\/sport-requests\/([^/]+)\/vote$/);
+  if ((req.method === 'POST' || req.method === 'DELETE') && sportRequestVoteMatch) {
+    if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    if (!requireVerifiedFor(user, 'sport-requests', res)) return;
+    const result = await mutateStore((latest) => {
+      const request = latest.sportRequests.find((item) => item.id === sportRequestVoteMatch[1]);
+      if (!request) return { status: 404, error: 'Sport request not found.' };
+      if (request.status !== 'pending') return { status: 409, error: `This request was already ${request.status}.` };
+      request.voterIds = request.voterIds.filter((id) => id !== user.id);
+      if (req.method === 'POST') request.voterIds.push(user.id);
+      return { status: 200, request: publicSportRequest(latest, request, user.id) };
+    });
+    if (result.error) return sendJson(res, result.status, { error: result.error });
+    return sendJson(res, 200, { ok: true, request: result.request });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/admin/users') {
+    if (!requirePermission(req, res, user, 'users:read')) return;
+    const users = store.users.map((item) => ({ ...publicUser(item), createdAt: item.createdAt }));
+    return sendJson(res, 200, { users, roles: Object.keys(ROLE_PERMISSIONS) });
+  }
+
+  const userRolesMatch = url.pathname.match(/^\/api\/admin\/users\/([^/]+)\/roles$/);
+  if (req.method === 'POST' && userRolesMatch) {
+    if (!requirePermission(req, res, user, 'users:manage')) return;
+    const body = await parseJsonBody(req);
+    const requested = normalizeIdArray(body.roles);
+    const unknown = requested.filter((role) => !ROLE_PERMISSIONS[role]);
+    if (unknown.length > 0) {
+      return sendJson(res, 400, { error: `Unknown roles: ${unknown.join(', ')}.` });
+    }
+    const result = await mutateStoreAudited(auditContext(req, user), (latest) => {
+      const target = latest.users.find((item) => item.id === userRolesMatch[1]);
+      if (!target) return { status: 404, error: 'User not found.' };
+      const otherAdmins = latest.users.filter(
+        (item) => item.id !== target.id && normalizeRoles(item.roles).includes('admin')
+      );
+      if (normalizeRoles(target.roles).includes('admin') && !requested.includes('admin') && otherAdmins.length === 0) {
+        return { status: 409, error: 'Cannot remove the last admin.' };
+      }
+      target.roles = requested;
+      return { status: 200, user: publicUser(target) };
+    });
+    if (result.error) return sendJson(res, result.status, { error: result.error });
+    return sendJson(res, 200, { ok: true, user: result.user });
   }
 
+  // The review queue: most-voted first (oldest first on ties), or newest first with sort=recent.
   if (req.method === 'GET' && url.pathname === '/api/admin/sport-requests') {
-    if (!requireAdmin(req, res)) return;
-    const requests = [...store.sportRequests].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    if (!requirePermission(req, res, user, 'sport-requests:read')) return;
+    const status = url.searchParams.get('status');
+    const byRecent = url.searchParams.get('sort') === 'recent';
+    const requests = store.sportRequests
+      .filter((request) => !status || request.status === status)
+      .map((request) => ({ ...request, votes: request.voterIds.length }))
+      .sort((a, b) =>
+        byRecent ? b.createdAt.localeCompare(a.createdAt) : b.votes - a.votes || a.createdAt.localeCompare(b.createdAt)
+      );
     return sendJson(res, 200, { requests });
   }
 
+  const sportRequestReviewMatch = url.pathname.match(/^\/api\/admin\/sport-requests\/([^/]+)\/(approve|reject|merge)$/);
+  if (req.method === 'POST' && sportRequestReviewMatch) {
+    if (!requirePermission(req, res, user, 'sport-requests:write')) return;
+    const [, requestId, action] = sportRequestReviewMatch;
+    const body = await parseJsonBody(req);
+    const result = await mutateStoreAudited(auditContext(req, user), (latest) => {
+      const request = latest.sportRequests.find((item) => item.id === requestId);
+      if (!request) return { status: 404, error: 'Sport request not found.' };
+      if (request.status !== 'pending') return { status: 409, error: `This request was already ${request.status}.` };
+      const review = () => {
+        request.reviewedAt = new Date().toISOString();
+        request.reviewedBy = user ? user.id : null;
+        request.reviewNote = String(body.note || '').trim().slice(0, 240) || undefined;
+      };
+
+      if (action === 'approve') {
+        // Either link an existing sport (e.g. one created by hand meanwhile) or create it now.
+        let sport;
+        if (body.sportId) {
+          sport = latest.sports.find((item) => item.id === String(body.sportId) && !item.archivedAt);
+          if (!sport) return { status: 400, error: 'sportId must be an active sport.' };
+        } else {
+          const created = applyCatalogChanges(
+            latest,
+            'sports',
+            {},
+            { name: body.sportName || request.sportName, isPopular: body.isPopular },
+            true
+          );
+          if (created.error) return created;
+          sport = created.entity;
+        }
+        request.status = 'approved';
+        request.sportId = sport.id;
+        review();
+        return { status: 200, request, sport };
+      }
+
+      if (action === 'reject') {
+        request.status = 'rejected';
+        review();
+        return { status: 200, request };
+      }
+
+      const target = latest.sportRequests.find((item) => item.id === String(body.targetId || ''));
+      if (!target || target.id === request.id) return { status: 400, error: 'targetId must be another sport request.' };
+      if (target.status !== 'pending') return { status: 409, error: 'Requests can only be merged into a pending request.' };
+      target.voterIds = [...new Set([...target.voterIds, ...request.voterIds])];
+      request.status = 'merged';
+      request.mergedInto = target.id;
+      review();
+      return { status: 200, request, target };
+    });
+    const { status, ...payload } = result;
+    if (payload.error) return sendJson(res, status, payload);
+
+    let job = null;
+    if (action === 'approve' && body.sync) {
+      job = enqueueCatalogSync(payload.sport.id, { reason: 'sport-request', audit: auditContext(req, user) });
+    }
+    return sendJson(res, 200, { ok: true, ...payload, job: job ? publicSyncJob(job) : null });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/admin/auth-lockouts') {
+    if (!requirePermission(req, res, user, 'auth-lockouts:read')) return;
+    const includeAll = url.searchParams.get('all') === '1';
+    const now = Date.now();
+    const lockouts = Object.entries(store.authThrottles)
+      .map(([key, entry]) => {
+        const lockedUntilMs = entry.lockedUntil ? new Date(entry.lockedUntil).getTime() : 0;
+        return { key, ...entry, locked: lockedUntilMs > now };
+      })
+      .filter((entry) => includeAll || entry.locked)
+      .sort((a, b) => String(b.lastFailureAt).localeCompare(String(a.lastFailureAt)));
+    return sendJson(res, 200, { lockouts });
+  }
+
+  const authLockoutMatch = url.pathname.match(/^\/api\/admin\/auth-lockouts\/([^/]+)$/);
+  if (req.method === 'DELETE' && authLockoutMatch) {
+    if (!requirePermission(req, res, user, 'auth-lockouts:write')) return;
+    const key = decodeURIComponent(authLockoutMatch[1]);
+    const removed = await mutateStoreAudited(auditContext(req, user), (latest) => {
+      if (!latest.authThrottles[key]) return false;
+      delete latest.authThrottles[key];
+      return true;
+    });
+    if (!removed) return sendJson(res, 404, { error: 'Lockout not found.' });
+    return sendJson(res, 200, { ok: true });
+  }
+
   if (req.method === 'GET' && url.pathname === '/api/admin/sync-history') {
-    if (!requireAdmin(req, res)) return;
+    if (!requirePermission(req, res, user, 'sync-history:read')) return;
     return sendJson(res, 200, { history: store.syncHistory });
   }
 
+  if (req.method === 'GET' && url.pathname === '/api/admin/audit-log') {
+    if (!requirePermission(req, res, user, 'audit-log:read')) return;
+    const actorFilter = String(url.searchParams.get('actor') || '').trim().toLowerCase();
+    const entityType = String(url.searchParams.get('entityType') || '').trim();
+    const entityId = String(url.searchParams.get('entityId') || '').trim();
+    const route = String(url.searchParams.get('route') || '').trim();
+    const from = url.searchParams.get('from') ? new Date(url.searchParams.get('from')) : null;
+    const to = url.searchParams.get('to') ? new Date(url.searchParams.get('to')) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return sendJson(res, 400, { error: 'from and to must be ISO dates.' });
+    }
+    const limit = Math.max(1, Math.min(500, Number(url.searchParams.get('limit')) || 100));
+    const emailById = new Map(store.users.map((item) => [item.id, item.email]));
+    const actorUserId = actorFilter.includes('@')
+      ? store.users.find((item) => item.email === actorFilter)?.id || '(none)'
+      : actorFilter;
+
+    const matches = store.auditLog.filter((entry) => {
+      if (actorUserId && entry.actor.userId !== actorUserId && entry.actor.type !== actorUserId) return false;
+      if (route && !entry.route.includes(route)) return false;
+      if (from && entry.createdAt < from.toISOString()) return false;
+      if (to && entry.createdAt > to.toISOString()) return false;
+      return true;
+    });
+    const entries = [];
+    for (let i = matches.length - 1; i >= 0 && entries.length < limit; i -= 1) {
+      const entry = matches[i];
+      const changes = entry.changes.filter(
+        (change) => (!entityType || change.entityType === entityType) && (!entityId || change.entityId === entityId)
+      );
+      if (changes.length === 0) continue;
+      entries.push({
+        ...entry,
+        actor: { ...entry.actor, email: entry.actor.userId ? emailById.get(entry.actor.userId) || null : null },
+        changes,
+      });
+    }
+    return sendJson(res, 200, { entries });
+  }
+
+  // The /sync/sportsdb/* paths predate catalog providers; they sync from the configured CATALOG_PROVIDER.
   if (req.method === 'POST' && url.pathname === '/api/admin/sync/sportsdb/sports') {
-    if (!requireAdmin(req, res)) return;
+    if (!requirePermission(req, res, user, 'catalog:sync')) return;
     try {
-      const data = await sportsDbGet('all_sports.php');
-      const rows = Array.isArray(data?.sports) ? data.sports : [];
-      let created = 0;
-      rows.forEach((row) => {
-        const before = store.sports.length;
-        upsertSportFromSportsDb(store, row);
-        if (store.sports.length > before) created += 1;
+      const rows = await catalogProvider.listSports();
+      const created = await mutateStoreAudited(auditContext(req, user), (latest) => {
+        let count = 0;
+        rows.forEach((row) => {
+          const before = latest.sports.length;
+          upsertSportFromProvider(latest, catalogProvider.source, row);
+          if (latest.sports.length > before) count += 1;
+        });
+        pushSyncHistory(latest, { source: catalogProvider.source, type: 'sports', status: 'ok', created: count, total: rows.length });
+        return count;
       });
-      pushSyncHistory(store, { source: 'sportsdb', type: 'sports', status: 'ok', created, total: rows.length });
-      writeStore(store);
       return sendJson(res, 200, { ok: true, total: rows.length, created });
     } catch (err) {
-      pushSyncHistory(store, { source: 'sportsdb', type: 'sports', status: 'error', error: err.message });
-      writeStore(store);
-      return sendJson(res, 502, { error: `SportsDB sync failed: ${err.message}` });
+      await mutateStore((latest) => {
+        pushSyncHistory(latest, { source: catalogProvider.source, type: 'sports', status: 'error', error: err.message });
+      });
+      return sendJson(res, 502, { error: `Sports sync failed (${catalogProvider.source}): ${err.message}` });
     }
   }
 
   if (req.method === 'POST' && url.pathname === '/api/admin/sync/sportsdb/leagues') {
-    if (!requireAdmin(req, res)) return;
+    if (!requirePermission(req, res, user, 'catalog:sync')) return;
     try {
-      const data = await sportsDbGet('all_leagues.php');
-      const rows = Array.isArray(data?.leagues) ? data.leagues : [];
-      let created = 0;
-      rows.forEach((row) => {
-        const before = store.leagues.length;
-        upsertLeagueFromSportsDb(store, row);
-        if (store.leagues.length > before) created += 1;
+      const rows = await catalogProvider.listLeagues();
+      const created = await mutateStoreAudited(auditContext(req, user), (latest) => {
+        let count = 0;
+        rows.forEach((row) => {
+          const before = latest.leagues.length;
+          upsertLeagueFromProvider(latest, catalogProvider.source, row);
+          if (latest.leagues.length > before) count += 1;
+        });
+        pushSyncHistory(latest, { source: catalogProvider.source, type: 'leagues', status: 'ok', created: count, total: rows.length });
+        return count;
       });
-      pushSyncHistory(store, { source: 'sportsdb', type: 'leagues', status: 'ok', created, total: rows.length });
-      writeStore(store);
       return sendJson(res, 200, { ok: true, total: rows.length, created });
     } catch (err) {
-      pushSyncHistory(store, { source: 'sportsdb', type: 'leagues', status: 'error', error: err.message });
-      writeStore(store);
-      return sendJson(res, 502, { error: `SportsDB league sync failed: ${err.message}` });
+      await mutateStore((latest) => {
+        pushSyncHistory(latest, { source: catalogProvider.source, type: 'leagues', status: 'error', error: err.message });
+      });
+      return sendJson(res, 502, { error: `League sync failed (${catalogProvider.source}): ${err.message}` });
     }
   }
 
   if (req.method === 'POST' && url.pathname === '/api/admin/sync/sportsdb/catalog') {
-    if (!requireAdmin(req, res)) return;
+    if (!requirePermission(req, res, user, 'catalog:sync')) return;
     const body = await parseJsonBody(req);
     const sportId = String(body.sportId || '').trim();
     if (!sportId) return sendJson(res, 400, { error: 'sportId is required.' });
@@ -1125,8 +4184,7 @@ async function handleApi(req, res, url) {
     const playersPerTeamCap = Number(body.playersPerTeamCap);
     const maxPlayerTeams = Number(body.maxPlayerTeams);
     const maxDurationMs = Number(body.maxDurationMs);
-    const sync = await syncSportCatalogFromSportsDb(store, sport.id, {
-      force: true,
+    const syncOptions = {
       maxTeams: Number.isFinite(maxTeams) ? Math.max(1, Math.min(200, maxTeams)) : undefined,
       maxLeagues: Number.isFinite(maxLeagues) ? Math.max(1, Math.min(20, maxLeagues)) : undefined,
       playersPerTeamCap: Number.isFinite(playersPerTeamCap)
@@ -1134,19 +4192,297 @@ async function handleApi(req, res, url) {
         : undefined,
       maxPlayerTeams: Number.isFinite(maxPlayerTeams) ? Math.max(1, Math.min(60, maxPlayerTeams)) : undefined,
       maxDurationMs: Number.isFinite(maxDurationMs) ? Math.max(2000, Math.min(25000, maxDurationMs)) : undefined,
+    };
+    const job = enqueueCatalogSync(sport.id, { reason: 'admin', audit: auditContext(req, user), options: syncOptions });
+    return sendJson(res, 202, { ok: true, sportId, job: publicSyncJob(job) });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/admin/sync-jobs') {
+    if (!requirePermission(req, res, user, 'sync-history:read')) return;
+    const status = url.searchParams.get('status');
+    const jobs = syncJobs
+      .filter((job) => !status || job.status === status)
+      .map(publicSyncJob)
+      .reverse();
+    return sendJson(res, 200, {
+      jobs,
+      scheduler: {
+        provider: catalogProvider.source,
+        intervalMs: CATALOG_SYNC_INTERVAL_MS > 0 ? CATALOG_SYNC_INTERVAL_MS : null,
+        staleAfterMs: CATALOG_SYNC_STALE_MS,
+        ...syncScheduler,
+      },
     });
-    writeStore(store);
-    if (!sync.ok && sync.reason === 'provider_error') {
-      return sendJson(res, 502, { error: `SportsDB catalog sync failed: ${sync.error}` });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/admin/sync-jobs/schedule') {
+    if (!requirePermission(req, res, user, 'catalog:sync')) return;
+    const jobs = enqueueStaleCatalogSyncs();
+    return sendJson(res, 202, { ok: true, jobs: jobs.map(publicSyncJob) });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/admin/sync-state') {
+    if (!requirePermission(req, res, user, 'sync-history:read')) return;
+    const states = store.sports
+      .filter((sport) => store.catalogSyncState[sport.id])
+      .map((sport) => {
+        const { cursor, ...state } = store.catalogSyncState[sport.id];
+        return {
+          sportId: sport.id,
+          sportName: sport.name,
+          ...state,
+          cursor: cursor
+            ? { leagueIndex: cursor.leagueIndex, teamIndex: cursor.teamIndex, playersFetched: cursor.playersFetched.length, startedAt: cursor.startedAt }
+            : null,
+        };
+      });
+    return sendJson(res, 200, { states });
+  }
+
+  const syncStateResetMatch = url.pathname.match(/^\/api\/admin\/sync-state\/([^/]+)\/reset$/);
+  if (req.method === 'POST' && syncStateResetMatch) {
+    if (!requirePermission(req, res, user, 'catalog:sync')) return;
+    const sportId = syncStateResetMatch[1];
+    if (!store.sports.some((sport) => sport.id === sportId)) return sendJson(res, 404, { error: 'Sport not found.' });
+    const active = findActiveSyncJob(sportId);
+    if (active && active.status === 'running') {
+      return sendJson(res, 409, { error: 'A sync is running for this sport; reset it once the job finishes.', job: publicSyncJob(active) });
+    }
+    const body = await parseJsonBody(req);
+    await mutateStoreAudited(auditContext(req, user), (latest, recordChange) => {
+      const state = latest.catalogSyncState[sportId];
+      if (!state || !state.cursor) return;
+      latest.catalogSyncState[sportId] = { ...state, cursor: null };
+      const { leagueIndex, teamIndex, startedAt } = state.cursor;
+      recordChange({
+        entityType: 'sync-state',
+        entityId: sportId,
+        action: 'update',
+        before: { cursor: { leagueIndex, teamIndex, startedAt } },
+        after: { cursor: null },
+      });
+    });
+    // Without a cursor the next run starts a full crawl from the first league.
+    const job = body.enqueue === false ? null : enqueueCatalogSync(sportId, { reason: 'recrawl', audit: auditContext(req, user) });
+    return sendJson(res, 200, { ok: true, sportId, job: job ? publicSyncJob(job) : null });
+  }
+
+  const syncJobMatch = url.pathname.match(/^\/api\/admin\/sync-jobs\/([^/]+)$/);
+  if (req.method === 'GET' && syncJobMatch) {
+    if (!requirePermission(req, res, user, 'sync-history:read')) return;
+    const job = syncJobs.find((item) => item.id === syncJobMatch[1]);
+    if (!job) return sendJson(res, 404, { error: 'Sync job not found.' });
+    return sendJson(res, 200, { job: publicSyncJob(job) });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/admin/duplicates') {
+    if (!requirePermission(req, res, user, 'catalog:write')) return;
+    const sportId = String(url.searchParams.get('sportId') || '').trim();
+    const entityType = url.searchParams.get('entityType') || 'team';
+    if (!MERGEABLE_ENTITIES[entityType]) return sendJson(res, 400, { error: 'entityType must be team or player.' });
+    if (!store.sports.some((sport) => sport.id === sportId)) return sendJson(res, 404, { error: 'Sport not found.' });
+    const minScore = Number(url.searchParams.get('minScore'));
+    const limit = Math.max(1, Math.min(200, Number(url.searchParams.get('limit')) || 50));
+    const candidates = findDuplicateCandidates(
+      store,
+      sportId,
+      entityType,
+      Number.isFinite(minScore) && minScore > 0 ? Math.min(1, minScore) : 0.75
+    );
+    return sendJson(res, 200, { candidates: candidates.slice(0, limit), total: candidates.length });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/admin/merge') {
+    if (!requirePermission(req, res, user, 'catalog:write')) return;
+    const body = await parseJsonBody(req);
+    const entityType = String(body.entityType || '');
+    const survivorId = String(body.survivorId || '').trim();
+    const duplicateIds = normalizeIdArray(body.duplicateIds).filter((id) => id !== survivorId);
+    if (!MERGEABLE_ENTITIES[entityType]) return sendJson(res, 400, { error: 'entityType must be team or player.' });
+    if (!survivorId || duplicateIds.length === 0) {
+      return sendJson(res, 400, { error: 'survivorId and at least one duplicateId are required.' });
+    }
+    const result = await mutateStoreAudited(auditContext(req, user), (latest) =>
+      mergeCatalogEntities(latest, entityType, survivorId, duplicateIds)
+    );
+    if (result.error) return sendJson(res, result.status, { error: result.error });
+    const { status: _status, ...merge } = result;
+    return sendJson(res, 200, { ok: true, ...merge });
+  }
+
+  const catalogImportMatch = url.pathname.match(/^\/api\/admin\/catalog\/import\/(sports|leagues|teams|players)$/);
+  if (req.method === 'POST' && catalogImportMatch) {
+    if (!requirePermission(req, res, user, 'catalog:write')) return;
+    const collection = catalogImportMatch[1];
+    const contentType = String(req.headers['content-type'] || '');
+    const format = url.searchParams.get('format') || (contentType.includes('csv') ? 'csv' : contentType.includes('ndjson') ? 'ndjson' : '');
+    if (format !== 'csv' && format !== 'ndjson') {
+      return sendJson(res, 400, { error: 'Send text/csv or application/x-ndjson, or pass format=csv|ndjson.' });
+    }
+    const sportId = collection === 'sports' ? null : String(url.searchParams.get('sportId') || '').trim();
+    if (collection !== 'sports') {
+      const sport = store.sports.find((item) => item.id === sportId);
+      if (!sport || sport.archivedAt) return sendJson(res, 400, { error: 'sportId must be an active sport.' });
+    }
+    const parsed = parseCatalogImport(await readRequestBody(req, CATALOG_IMPORT_MAX_BYTES), format);
+    if (parsed.error) return sendJson(res, 400, { error: parsed.error });
+    if (parsed.rows.length === 0) return sendJson(res, 400, { error: 'The file has no rows.' });
+
+    pruneCatalogImports();
+    const report = runCatalogImport(structuredClone(store), collection, sportId, parsed.rows, true);
+    const preview = {
+      id: newId('imp'),
+      type: collection,
+      sportId,
+      format,
+      rows: parsed.rows,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + CATALOG_IMPORT_PREVIEW_TTL_MS).toISOString(),
+    };
+    catalogImports.set(preview.id, preview);
+    return sendJson(res, 200, {
+      importId: preview.id,
+      type: collection,
+      sportId,
+      expiresAt: preview.expiresAt,
+      ...report,
+    });
+  }
+
+  // Commits replay the previewed rows against the current store; rows that are invalid by then are
+  // skipped and reported again.
+  const catalogImportCommitMatch = url.pathname.match(/^\/api\/admin\/catalog\/imports\/([^/]+)\/commit$/);
+  if (req.method === 'POST' && catalogImportCommitMatch) {
+    if (!requirePermission(req, res, user, 'catalog:write')) return;
+    pruneCatalogImports();
+    const preview = catalogImports.get(catalogImportCommitMatch[1]);
+    if (!preview) return sendJson(res, 404, { error: 'Import not found or expired. Upload the file again.' });
+    catalogImports.delete(preview.id);
+    const report = await mutateStoreAudited(auditContext(req, user), (latest) =>
+      runCatalogImport(latest, preview.type, preview.sportId, preview.rows)
+    );
+    return sendJson(res, 200, { ok: true, importId: preview.id, type: preview.type, sportId: preview.sportId, ...report });
+  }
+
+  const catalogExportMatch = url.pathname.match(/^\/api\/admin\/catalog\/export\/(sports|leagues|teams|players)$/);
+  if (req.method === 'GET' && catalogExportMatch) {
+    if (!requirePermission(req, res, user, 'catalog:write')) return;
+    const collection = catalogExportMatch[1];
+    const format = url.searchParams.get('format') || 'csv';
+    if (format !== 'csv' && format !== 'ndjson') return sendJson(res, 400, { error: 'format must be csv or ndjson.' });
+    let sport = null;
+    if (collection !== 'sports') {
+      sport = store.sports.find((item) => item.id === String(url.searchParams.get('sportId') || '').trim());
+      if (!sport) return sendJson(res, 400, { error: 'sportId is required.' });
     }
-    return sendJson(res, 200, { ok: true, sportId, ...sync });
+    const columns = CATALOG_IMPORT_COLUMNS[collection];
+    res.writeHead(200, {
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${sport ? `${sport.slug || sport.id}-` : ''}${collection}.${format}"`,
+    });
+    if (format === 'csv') res.write(`${columns.join(',')}\n`);
+    catalogExportRows(store, collection, sport ? sport.id : null).forEach((row) => {
+      res.write(
+        format === 'csv'
+          ? `${columns.map((column) => csvField(Array.isArray(row[column]) ? row[column].join('|') : row[column])).join(',')}\n`
+          : `${JSON.stringify(row)}\n`
+      );
+    });
+    return res.end();
+  }
+
+  const adminCatalogMatch = url.pathname.match(/^\/api\/admin\/catalog\/(sports|leagues|teams|players)$/);
+  if (req.method === 'GET' && adminCatalogMatch) {
+    if (!requirePermission(req, res, user, 'catalog:write')) return;
+    const collection = adminCatalogMatch[1];
+    const { entityType } = CATALOG_ADMIN_TYPES[collection];
+    const sportId = String(url.searchParams.get('sportId') || '').trim();
+    const query = normalizeName(url.searchParams.get('q') || '');
+    const archived = String(url.searchParams.get('archived') || 'exclude');
+    const limit = Number(url.searchParams.get('limit') || 100);
+    const safeLimit = Number.isFinite(limit) ? Math.max(1, Math.min(500, limit)) : 100;
+    const followers = new Map();
+    store.follows
+      .filter((f) => f.entityType === entityType)
+      .forEach((f) => followers.set(f.entityId, (followers.get(f.entityId) || 0) + 1));
+    const items = store[collection]
+      .filter((item) => !sportId || collection === 'sports' || item.sportId === sportId)
+      .filter((item) => (archived === 'only' ? item.archivedAt : archived === 'include' || !item.archivedAt))
+      .filter((item) => !query || normalizeName(item.name).includes(query))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((item) => ({ ...item, followers: followers.get(item.id) || 0 }));
+    return sendJson(res, 200, { items: items.slice(0, safeLimit), total: items.length });
+  }
+
+  if (req.method === 'POST' && adminCatalogMatch) {
+    if (!requirePermission(req, res, user, 'catalog:write')) return;
+    const collection = adminCatalogMatch[1];
+    const body = await parseJsonBody(req);
+    const result = await mutateStoreAudited(auditContext(req, user), (latest) =>
+      applyCatalogChanges(latest, collection, {}, body, true)
+    );
+    const { status, ...payload } = result;
+    if (payload.error) return sendJson(res, status, payload);
+    return sendJson(res, status, { ok: true, ...payload });
+  }
+
+  const adminCatalogEntityMatch = url.pathname.match(/^\/api\/admin\/catalog\/(sports|leagues|teams|players)\/([^/]+)$/);
+  if (req.method === 'PATCH' && adminCatalogEntityMatch) {
+    if (!requirePermission(req, res, user, 'catalog:write')) return;
+    const [, collection, id] = adminCatalogEntityMatch;
+    const body = await parseJsonBody(req);
+    const result = await mutateStoreAudited(auditContext(req, user), (latest) => {
+      const entity = latest[collection].find((item) => item.id === id);
+      if (!entity) return { status: 404, error: 'Not found.' };
+      return applyCatalogChanges(latest, collection, entity, body, false);
+    });
+    const { status, ...payload } = result;
+    if (payload.error) return sendJson(res, status, payload);
+    return sendJson(res, status, { ok: true, ...payload });
+  }
+
+  if (req.method === 'DELETE' && adminCatalogEntityMatch) {
+    if (!requirePermission(req, res, user, 'catalog:write')) return;
+    const [, collection, id] = adminCatalogEntityMatch;
+    const result = await mutateStoreAudited(auditContext(req, user), (latest) => deleteCatalogEntity(latest, collection, id));
+    const { status, ...payload } = result;
+    if (payload.error) return sendJson(res, status, payload);
+    return sendJson(res, 200, { ok: true, deleted: payload.entity.id });
+  }
+
+  // Archiving hides an entity from search, onboarding, the interest editor and feeds while keeping
+  // the follows that point at it, so a restore puts everything back.
+  const adminCatalogArchiveMatch = url.pathname.match(
+    /^\/api\/admin\/catalog\/(sports|leagues|teams|players)\/([^/]+)\/(archive|restore)$/
+  );
+  if (req.method === 'POST' && adminCatalogArchiveMatch) {
+    if (!requirePermission(req, res, user, 'catalog:write')) return;
+    const [, collection, id, action] = adminCatalogArchiveMatch;
+    const result = await mutateStoreAudited(auditContext(req, user), (latest) => {
+      const entity = latest[collection].find((item) => item.id === id);
+      if (!entity) return { status: 404, error: 'Not found.' };
+      if (action === 'archive') {
+        if (!entity.archivedAt) entity.archivedAt = new Date().toISOString();
+      } else if (entity.archivedAt) {
+        const conflict = findCatalogNameConflict(latest, collection, entity, entity.name);
+        if (conflict) return { status: 409, error: `"${conflict.name}" already exists.`, conflictId: conflict.id };
+        delete entity.archivedAt;
+      }
+      delete latest.feedCacheBySport[collection === 'sports' ? entity.id : entity.sportId];
+      return { status: 200, entity, references: catalogReferences(latest, collection, id) };
+    });
+    const { status, ...payload } = result;
+    if (payload.error) return sendJson(res, status, payload);
+    return sendJson(res, status, { ok: true, ...payload });
   }
 
   if (req.method === 'POST' && url.pathname === '/api/admin/catalog/upsert') {
-    if (!requireAdmin(req, res)) return;
+    if (!requirePermission(req, res, user, 'catalog:write')) return;
     const body = await parseJsonBody(req);
     const sportId = String(body.sportId || '').trim();
+    const leagues = Array.isArray(body.leagues) ? body.leagues : [];
     const teams = Array.isArray(body.teams) ? body.teams : [];
+    const memberships = Array.isArray(body.memberships) ? body.memberships : [];
     const players = Array.isArray(body.players) ? body.players : [];
 
     if (!sportId) {
@@ -1158,64 +4494,102 @@ async function handleApi(req, res, url) {
       return sendJson(res, 404, { error: 'Sport not found in catalog.' });
     }
 
-    let createdTeams = 0;
-    let createdPlayers = 0;
-    const teamIndexByNormalizedName = new Map(
-      store.teams
-        .filter((team) => team.sportId === sportId)
-        .map((team) => [normalizeName(team.name), team])
-    );
-
-    for (const teamInput of teams) {
-      const teamName = String((teamInput && teamInput.name) || '').trim();
-      if (teamName.length < 2) continue;
+    const counts = await mutateStoreAudited(auditContext(req, user), (latest) => {
+      let createdLeagues = 0;
+      let createdTeams = 0;
+      let createdMemberships = 0;
+      let skippedMemberships = 0;
+      let createdPlayers = 0;
+      const leagueIndexByNormalizedName = new Map(
+        latest.leagues.filter((league) => league.sportId === sportId).map((league) => [normalizeName(league.name), league])
+      );
 
-      const normalizedTeamName = normalizeName(teamName);
-      if (teamIndexByNormalizedName.has(normalizedTeamName)) continue;
+      for (const leagueInput of leagues) {
+        const leagueName = String((leagueInput && leagueInput.name) || '').trim();
+        if (leagueName.length < 2 || UNSAFE_NAME_CHARACTERS.test(leagueName)) continue;
 
-      const team = {
-        id: newId('tm'),
-        sportId,
-        name: teamName,
-        slug: teamName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, ''),
-      };
-      store.teams.push(team);
-      teamIndexByNormalizedName.set(normalizedTeamName, team);
-      createdTeams += 1;
-    }
+        const normalizedLeagueName = normalizeName(leagueName);
+        if (leagueIndexByNormalizedName.has(normalizedLeagueName)) continue;
 
-    for (const playerInput of players) {
-      const playerName = String((playerInput && playerInput.name) || '').trim();
-      if (playerName.length < 2) continue;
+        const league = { id: newId('lg'), source: 'manual', sportId, name: leagueName, slug: slugify(leagueName) };
+        latest.leagues.push(league);
+        leagueIndexByNormalizedName.set(normalizedLeagueName, league);
+        createdLeagues += 1;
+      }
 
-      const normalizedPlayerName = normalizeName(playerName);
-      const exists = store.players.some(
-        (player) => player.sportId === sportId && normalizeName(player.name) === normalizedPlayerName
+      const teamIndexByNormalizedName = new Map(
+        latest.teams
+          .filter((team) => team.sportId === sportId)
+          .flatMap((team) => [team.name, ...(team.aliases || [])].map((name) => [normalizeName(name), team]))
       );
-      if (exists) continue;
 
-      const teamName = String((playerInput && playerInput.teamName) || '').trim();
-      let teamId = null;
-      if (teamName) {
-        const match = teamIndexByNormalizedName.get(normalizeName(teamName));
-        teamId = match ? match.id : null;
+      for (const teamInput of teams) {
+        const teamName = String((teamInput && teamInput.name) || '').trim();
+        if (teamName.length < 2 || UNSAFE_NAME_CHARACTERS.test(teamName)) continue;
+
+        const normalizedTeamName = normalizeName(teamName);
+        if (teamIndexByNormalizedName.has(normalizedTeamName)) continue;
+
+        const team = {
+          id: newId('tm'),
+          source: 'manual',
+          sportId,
+          name: teamName,
+          slug: teamName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, ''),
+        };
+        latest.teams.push(team);
+        teamIndexByNormalizedName.set(normalizedTeamName, team);
+        createdTeams += 1;
       }
 
-      store.players.push({
-        id: newId('pl'),
-        sportId,
-        teamId,
-        name: playerName,
-      });
-      createdPlayers += 1;
-    }
+      // Memberships name an existing or just-created team and league of this sport.
+      for (const membershipInput of memberships) {
+        const team = teamIndexByNormalizedName.get(normalizeName(membershipInput && membershipInput.teamName));
+        const league = leagueIndexByNormalizedName.get(normalizeName(membershipInput && membershipInput.leagueName));
+        if (!team || !league) {
+          skippedMemberships += 1;
+          continue;
+        }
+        if (addTeamToLeague(latest, team.id, league.id, 'admin')) createdMemberships += 1;
+      }
 
-    writeStore(store);
-    return sendJson(res, 200, { ok: true, sportId, createdTeams, createdPlayers });
+      for (const playerInput of players) {
+        const playerName = String((playerInput && playerInput.name) || '').trim();
+        if (playerName.length < 2 || UNSAFE_NAME_CHARACTERS.test(playerName)) continue;
+
+        const normalizedPlayerName = normalizeName(playerName);
+        const exists = latest.players.some(
+          (player) => player.sportId === sportId && matchesName(player, normalizedPlayerName)
+        );
+        if (exists) continue;
+
+        const teamName = String((playerInput && playerInput.teamName) || '').trim();
+        let teamId = null;
+        if (teamName) {
+          const match = teamIndexByNormalizedName.get(normalizeName(teamName));
+          teamId = match ? match.id : null;
+        }
+
+        const player = {
+          id: newId('pl'),
+          source: 'manual',
+          sportId,
+          teamId: null,
+          name: playerName,
+        };
+        movePlayerToTeam(latest, player, teamId);
+        latest.players.push(player);
+        createdPlayers += 1;
+      }
+
+      return { createdLeagues, createdTeams, createdMemberships, skippedMemberships, createdPlayers };
+    });
+    return sendJson(res, 200, { ok: true, sportId, ...counts });
   }
 
   if (req.method === 'POST' && url.pathname === '/api/onboarding/interests') {
     if (!user) return sendJson(res, 401, { error: 'Unauthorized' });
+    if (!requireVerifiedFor(user, 'interests', res)) return;
     const body = await parseJsonBody(req);
     const sportIds = normalizeIdArray(body.sportIds);
     const teamIds = normalizeIdArray(body.teamIds);
@@ -1226,10 +4600,10 @@ async function handleApi(req, res, url) {
       return sendJson(res, 400, { error: 'Select at least one sport.' });
     }
 
-    const validSportIds = new Set(store.sports.map((s) => s.id));
-    const validTeamIds = new Set(store.teams.map((t) => t.id));
-    const validPlayerIds = new Set(store.players.map((p) => p.id));
-    const validLeagueIds = new Set(store.leagues.map((l) => l.id));
+    const validSportIds = new Set(store.sports.filter((s) => !s.archivedAt).map((s) => s.id));
+    const validTeamIds = new Set(store.teams.filter((t) => !t.archivedAt).map((t) => t.id));
+    const validPlayerIds = new Set(store.players.filter((p) => !p.archivedAt).map((p) => p.id));
+    const validLeagueIds = new Set(store.leagues.filter((l) => !l.archivedAt).map((l) => l.id));
 
     const invalidIds = [
       ...sportIds.filter((id) => !validSportIds.has(id)),
@@ -1250,25 +4624,28 @@ async function handleApi(req, res, url) {
       return sendJson(res, 400, { error: 'Teams, players, and leagues must belong to selected sports.' });
     }
 
-    store.follows = store.follows.filter((f) => f.userId !== user.id);
-    const now = new Date().toISOString();
-
-    for (const sportId of sportIds) {
-      store.follows.push({ id: newId('fol'), userId: user.id, entityType: 'sport', entityId: sportId, createdAt: now });
-    }
-    for (const teamId of teamIds) {
-      store.follows.push({ id: newId('fol'), userId: user.id, entityType: 'team', entityId: teamId, createdAt: now });
-    }
-    for (const playerId of playerIds) {
-      store.follows.push({ id: newId('fol'), userId: user.id, entityType: 'player', entityId: playerId, createdAt: now });
-    }
-    for (const leagueId of leagueIds) {
-      store.follows.push({ id: newId('fol'), userId: user.id, entityType: 'league', entityId: leagueId, createdAt: now });
-    }
-    store.userSportOrder[user.id] = [...sportIds];
-    store.feedCacheBySport = {};
+    await mutateStore((latest) => {
+      // Follows of archived entities are kept for when they are restored.
+      latest.follows = latest.follows.filter(
+        (f) => f.userId !== user.id || !isActiveCatalogEntity(latest, f.entityType, f.entityId)
+      );
+      const now = new Date().toISOString();
 
-    writeStore(store);
+      for (const sportId of sportIds) {
+        latest.follows.push({ id: newId('fol'), userId: user.id, entityType: 'sport', entityId: sportId, createdAt: now });
+      }
+      for (const teamId of teamIds) {
+        latest.follows.push({ id: newId('fol'), userId: user.id, entityType: 'team', entityId: teamId, createdAt: now });
+      }
+      for (const playerId of playerIds) {
+        latest.follows.push({ id: newId('fol'), userId: user.id, entityType: 'player', entityId: playerId, createdAt: now });
+      }
+      for (const leagueId of leagueIds) {
+        latest.follows.push({ id: newId('fol'), userId: user.id, entityType: 'league', entityId: leagueId, createdAt: now });
+      }
+      latest.userSportOrder[user.id] = [...sportIds];
+      latest.feedCacheBySport = {};
+    });
     return sendJson(res, 200, { ok: true });
   }
 
@@ -1302,6 +4679,134 @@ const server = http.createServer(async (req, res) => {
   }
 });
 
-server.listen(PORT, () => {
-  console.log(`Sports One listening on http://localhost:${PORT}`);
-});
+// One-shot copy of a store.json file into the active storage adapter, e.g.
+//   STORE_DRIVER=sqlite node server.js import-json data/store.json
+function importJsonStore(sourceFile) {
+  const source = JSON.parse(fs.readFileSync(sourceFile, 'utf8'));
+  const changes = {};
+  Object.keys(STORE_COLLECTIONS).forEach((name) => {
+    changes[name] = normalizeCollection(name, source[name]);
+  });
+  storage.replace(changes, { schemaVersion: Number(source.schemaVersion) || 0 });
+  return Object.fromEntries(
+    Object.entries(changes).map(([name, value]) => [name, Array.isArray(value) ? value.length : Object.keys(value).length])
+  );
+}
+
+// Records a small slice of the live SportsDB catalog into CATALOG_FIXTURES_FILE for the fixtures
+// provider, e.g. `node server.js record-fixtures Soccer Basketball`.
+async function recordCatalogFixtures(sportNames) {
+  const provider = createSportsDbProvider();
+  const wanted = new Set(sportNames.map(normalizeName));
+  const fixtures = { recordedAt: new Date().toISOString(), sports: [], leagues: [], teams: [], players: [], events: [] };
+  fixtures.sports = (await provider.listSports()).filter((sport) => wanted.has(normalizeName(sport.name)));
+  const leagues = (await provider.listLeagues()).filter((league) => wanted.has(normalizeName(league.sport))).slice(0, 4 * wanted.size);
+  const teamsById = new Map();
+  for (const league of leagues) {
+    fixtures.leagues.push(league);
+    const teams = (await provider.listTeamsByLeague(league)).slice(0, 20);
+    teams.forEach((team) => {
+      const entry = teamsById.get(team.externalId) || { ...team, leagueIds: [] };
+      entry.leagueIds.push(league.externalId);
+      teamsById.set(team.externalId, entry);
+    });
+    fixtures.events.push(
+      ...(await provider.listEventsByLeague(league)).slice(0, 5).map((event) => ({
+        leagueId: league.externalId,
+        title: event.title,
+        date: event.date,
+        time: event.time,
+      }))
+    );
+  }
+  fixtures.teams = [...teamsById.values()];
+  for (const team of fixtures.teams.slice(0, 12)) {
+    const players = (await provider.listPlayersByTeam(team)).slice(0, 10);
+    fixtures.players.push(...players.map((player) => ({ ...player, teamId: team.externalId })));
+  }
+  fs.mkdirSync(path.dirname(CATALOG_FIXTURES_FILE), { recursive: true });
+  fs.writeFileSync(CATALOG_FIXTURES_FILE, `${JSON.stringify(fixtures, null, 2)}\n`);
+  console.log(
+    `Recorded ${fixtures.sports.length} sports, ${fixtures.leagues.length} leagues, ${fixtures.teams.length} teams, ` +
+      `${fixtures.players.length} players and ${fixtures.events.length} events to ${CATALOG_FIXTURES_FILE}`
+  );
+}
+
+function printMigrationResult(result) {
+  if (result.applied.length === 0) {
+    console.log(`Store schema is up to date (v${result.fromVersion}).`);
+    return;
+  }
+  const verb = result.dryRun ? 'Would migrate' : 'Migrated';
+  console.log(`${verb} store schema v${result.fromVersion} -> v${result.toVersion}:`);
+  result.applied.forEach((migration) => console.log(`  v${migration.version}: ${migration.description}`));
+  console.log(`  changed collections: ${result.changedCollections.join(', ') || 'none'}`);
+  if (result.backupPath) console.log(`  backup: ${result.backupPath}`);
+}
+
+function runCommand(args) {
+  const [command, ...rest] = args;
+  if (command === 'promote-admin') {
+    const email = String(rest[0] || '').toLowerCase().trim();
+    const role = rest[1] || 'admin';
+    if (!email) throw new Error('Usage: node server.js promote-admin <email> [role]');
+    if (!ROLE_PERMISSIONS[role]) throw new Error(`Unknown role "${role}". Use one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}.`);
+    runMigrations();
+    return mutateStoreAudited({ actor: CLI_ACTOR, route: 'cli promote-admin' }, (latest) => {
+      const target = latest.users.find((item) => item.email === email);
+      if (!target) throw new Error(`No user with email ${email}. Sign up first, then promote.`);
+      target.roles = [...new Set([...normalizeRoles(target.roles), role])];
+      return target.roles;
+    }).then((roles) => console.log(`${email} now has roles: ${roles.join(', ')}`));
+  }
+  if (command === 'record-fixtures') {
+    return recordCatalogFixtures(rest.length > 0 ? rest : ['Soccer']);
+  }
+  if (command === 'migrate') {
+    printMigrationResult(runMigrations({ dryRun: rest.includes('--dry-run') }));
+    return;
+  }
+  if (command === 'import-json') {
+    const sourceFile = path.resolve(rest[0] || DATA_FILE);
+    if (storage.driver === 'json' && sourceFile === DATA_FILE) {
+      throw new Error('Refusing to import store.json into itself. Set STORE_DRIVER=sqlite.');
+    }
+    const counts = importJsonStore(sourceFile);
+    console.log(`Imported ${sourceFile} into ${storage.driver} storage:`);
+    Object.entries(counts).forEach(([name, count]) => console.log(`  ${name}: ${count}`));
+    return;
+  }
+  throw new Error(`Unknown command "${command}".`);
+}
+
+if (require.main !== module) {
+  // Required by the test suite: nothing starts, the tests drive the store and `server` themselves.
+  module.exports = {
+    server,
+    STORE_MIGRATIONS,
+    CURRENT_SCHEMA_VERSION,
+    runMigrations,
+    readStore,
+    mutateStore,
+    importJsonStore,
+    getAuthLockoutMs,
+    recordAuthAttempt,
+    pruneAuthThrottles,
+    apiTokenScopeFor,
+  };
+} else if (process.argv[2]) {
+  Promise.resolve()
+    .then(() => runCommand(process.argv.slice(2)))
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+} else {
+  printMigrationResult(runMigrations());
+  server.listen(PORT, () => {
+    console.log(
+      `Sports One listening on http://localhost:${PORT} (${storage.driver} storage, ${catalogProvider.source} catalog)`
+    );
+    startCatalogSyncScheduler();
+  });
+}
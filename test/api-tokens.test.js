@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadServer, startServer, stopServer, createClient, signUp } = require('./helpers');
+
+const env = loadServer();
+const { apiTokenScopeFor } = env.app;
+let baseUrl;
+
+test.before(async () => {
+  baseUrl = await startServer(env.app);
+});
+
+test.after(async () => {
+  await stopServer(env.app);
+  env.cleanup();
+});
+
+async function createToken(request, scopes) {
+  const res = await request('POST', '/api/me/tokens', { body: { name: 'script', scopes } });
+  assert.equal(res.status, 201);
+  return res.body.token;
+}
+
+// A cookie-less client that sends the token instead.
+function withToken(token) {
+  const request = createClient(baseUrl);
+  return (method, pathname, options = {}) =>
+    request(method, pathname, { ...options, headers: { ...options.headers, authorization: `Bearer ${token}` } });
+}
+
+// Mail is sent after the response, so wait for a matching message to land in the outbox.
+async function waitForMail(to, pattern) {
+  const outbox = path.join(env.dir, 'outbox');
+  for (let i = 0; i < 50; i += 1) {
+    const messages = fs.existsSync(outbox)
+      ? fs.readdirSync(outbox).map((name) => fs.readFileSync(path.join(outbox, name), 'utf8'))
+      : [];
+    const match = messages.map((raw) => raw.includes(`To: ${to}\r\n`) && raw.match(pattern)).find(Boolean);
+    if (match) return match;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`No mail for ${to}`);
+}
+
+test('routes map to the scope a token needs, and account routes to none', () => {
+  assert.equal(apiTokenScopeFor('GET', '/api/me/interests'), 'feed:read');
+  assert.equal(apiTokenScopeFor('GET', '/api/home/feed'), 'feed:read');
+  assert.equal(apiTokenScopeFor('GET', '/api/sports/sp_soccer/interests-options'), 'feed:read');
+  assert.equal(apiTokenScopeFor('GET', '/api/players/pl_1/career'), 'feed:read');
+  assert.equal(apiTokenScopeFor('POST', '/api/me/follows'), 'interests:write');
+  assert.equal(apiTokenScopeFor('POST', '/api/sports/sp_soccer/interests'), 'interests:write');
+  assert.equal(apiTokenScopeFor('DELETE', '/api/me/follows/team/tm_1'), 'interests:write');
+
+  assert.equal(apiTokenScopeFor('POST', '/api/me/interests'), null);
+  assert.equal(apiTokenScopeFor('GET', '/api/me/tokens'), null);
+  assert.equal(apiTokenScopeFor('POST', '/api/me/password'), null);
+  assert.equal(apiTokenScopeFor('GET', '/api/me/sessions'), null);
+  assert.equal(apiTokenScopeFor('GET', '/api/admin/audit-log'), null);
+});
+
+test('a token can only call the routes its scopes cover', async () => {
+  const { request } = await signUp(baseUrl, 'reader@example.com');
+  assert.equal((await request('POST', '/api/me/tokens', { body: { name: 'x', scopes: ['admin'] } })).status, 400);
+  const reader = withToken(await createToken(request, ['feed:read']));
+
+  assert.equal((await reader('GET', '/api/me/interests')).status, 200);
+  const follow = await reader('POST', '/api/me/follows', { body: { entityType: 'sport', entityId: 'sp_soccer' } });
+  assert.equal(follow.status, 403);
+  assert.match(follow.body.error, /"interests:write" scope/);
+  assert.equal((await reader('GET', '/api/me/tokens')).status, 403);
+
+  const writer = withToken(await createToken(request, ['interests:write']));
+  assert.equal((await writer('POST', '/api/me/follows', { body: { entityType: 'sport', entityId: 'sp_soccer' } })).status, 200);
+  assert.equal((await writer('GET', '/api/me/interests')).status, 403);
+});
+
+test('a revoked or unknown token gets 401', async () => {
+  const { request } = await signUp(baseUrl, 'revoker@example.com');
+  const token = await createToken(request, ['feed:read']);
+  const { tokens } = (await request('GET', '/api/me/tokens')).body;
+  assert.equal((await request('DELETE', `/api/me/tokens/${tokens[0].id}`)).status, 200);
+  assert.equal((await withToken(token)('GET', '/api/me/interests')).status, 401);
+  assert.equal((await withToken('so_unknown')('GET', '/api/me/interests')).status, 401);
+});
+
+test('a password change keeps tokens unless asked to revoke them', async () => {
+  const { request, password } = await signUp(baseUrl, 'changer@example.com');
+  const token = await createToken(request, ['feed:read']);
+
+  const kept = await request('POST', '/api/me/password', { body: { currentPassword: password, newPassword: 'second pass 42' } });
+  assert.equal(kept.body.revokedTokens, 0);
+  assert.equal((await withToken(token)('GET', '/api/me/interests')).status, 200);
+
+  const revoked = await request('POST', '/api/me/password', {
+    body: { currentPassword: 'second pass 42', newPassword: 'third pass 42', revokeApiTokens: true },
+  });
+  assert.equal(revoked.body.revokedTokens, 1);
+  assert.equal((await withToken(token)('GET', '/api/me/interests')).status, 401);
+});
+
+test('a password reset revokes every token', async () => {
+  const { request, user } = await signUp(baseUrl, 'forgetful@example.com');
+  const token = await createToken(request, ['feed:read']);
+
+  const anonymous = createClient(baseUrl);
+  assert.equal((await anonymous('POST', '/api/auth/password-reset/request', { body: { email: 'forgetful@example.com' } })).status, 200);
+  const [, resetToken] = await waitForMail('forgetful@example.com', /#reset=([0-9a-f]+)/);
+  const confirmed = await anonymous('POST', '/api/auth/password-reset/confirm', { body: { token: resetToken, password: 'brand new 42' } });
+  assert.equal(confirmed.status, 200);
+
+  assert.equal((await withToken(token)('GET', '/api/me/interests')).status, 401);
+  assert.equal(env.readStoreFile().apiTokens.filter((item) => item.userId === user.id).length, 0);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, loadServer, startServer, stopServer, createClient, signUp } = require('./helpers');
+
+const env = loadServer();
+const { getAuthLockoutMs, recordAuthAttempt, pruneAuthThrottles } = env.app;
+let baseUrl;
+
+test.before(async () => {
+  baseUrl = await startServer(env.app);
+});
+
+test.after(async () => {
+  await stopServer(env.app);
+  env.cleanup();
+});
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+test('lockouts start after the free attempts and double up to the cap', () => {
+  const store = { authThrottles: {} };
+  const now = Date.parse('2026-01-01T12:00:00.000Z');
+  const key = 'account:a@example.com';
+  for (let i = 0; i < 5; i += 1) recordAuthAttempt(store, key, now);
+  assert.equal(getAuthLockoutMs(store, [key], now), 0);
+
+  recordAuthAttempt(store, key, now);
+  assert.equal(getAuthLockoutMs(store, [key], now), 30 * 1000);
+  recordAuthAttempt(store, key, now);
+  assert.equal(getAuthLockoutMs(store, [key], now), 60 * 1000);
+  for (let i = 0; i < 10; i += 1) recordAuthAttempt(store, key, now);
+  assert.equal(getAuthLockoutMs(store, [key], now), 15 * MINUTE);
+
+  // The longest lockout of the keys wins.
+  assert.equal(getAuthLockoutMs(store, ['ip:127.0.0.1', key], now), 15 * MINUTE);
+  assert.equal(store.authThrottles[key].kind, 'account');
+  assert.equal(store.authThrottles[key].subject, 'a@example.com');
+});
+
+test('failures older than the window start a fresh count', () => {
+  const store = { authThrottles: {} };
+  const now = Date.parse('2026-01-01T12:00:00.000Z');
+  const key = 'reset:a@example.com';
+  for (let i = 0; i < 3; i += 1) recordAuthAttempt(store, key, now);
+  recordAuthAttempt(store, key, now + HOUR + 1);
+  assert.equal(store.authThrottles[key].failures, 1);
+  assert.equal(getAuthLockoutMs(store, [key], now + HOUR + 1), 0);
+});
+
+test('pruning drops stale entries but keeps running lockouts', () => {
+  const now = Date.parse('2026-01-01T12:00:00.000Z');
+  const store = {
+    authThrottles: {
+      'ip:stale': { failures: 2, lastFailureAt: new Date(now - 2 * HOUR).toISOString(), lockedUntil: null },
+      'ip:recent': { failures: 2, lastFailureAt: new Date(now - MINUTE).toISOString(), lockedUntil: null },
+      'ip:locked': {
+        failures: 40,
+        lastFailureAt: new Date(now - 2 * HOUR).toISOString(),
+        lockedUntil: new Date(now + MINUTE).toISOString(),
+      },
+    },
+  };
+  pruneAuthThrottles(store, now);
+  assert.deepEqual(Object.keys(store.authThrottles).sort(), ['ip:locked', 'ip:recent']);
+});
+
+test('concurrent wrong passwords all count, and the lockout holds for the right one', async () => {
+  const { password } = await signUp(baseUrl, 'locked@example.com');
+  const attempt = (pw) => createClient(baseUrl)('POST', '/api/auth/login', { body: { email: 'locked@example.com', password: pw } });
+
+  const results = await Promise.all(Array.from({ length: 10 }, () => attempt('wrong password 1')));
+  const statuses = results.map((res) => res.status).sort();
+  assert.deepEqual(statuses, [401, 401, 401, 401, 401, 401, 429, 429, 429, 429]);
+  const locked = results.find((res) => res.status === 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+  assert.equal(locked.body.retryAfter, Number(locked.headers.get('retry-after')));
+
+  assert.equal((await attempt(password)).status, 429);
+  assert.equal(env.readStoreFile().authThrottles['account:locked@example.com'].failures, 6);
+});
+
+test('support can clear a lockout, which is audited and lets the user back in', async () => {
+  const { password } = await signUp(baseUrl, 'cleared@example.com');
+  const attempt = (pw) => createClient(baseUrl)('POST', '/api/auth/login', { body: { email: 'cleared@example.com', password: pw } });
+  for (let i = 0; i < 6; i += 1) await attempt('wrong password 1');
+  assert.equal((await attempt(password)).status, 429);
+
+  const admin = createClient(baseUrl);
+  const key = encodeURIComponent('account:cleared@example.com');
+  const cleared = await admin('DELETE', `/api/admin/auth-lockouts/${key}`, { headers: { 'x-admin-key': ADMIN_KEY } });
+  assert.equal(cleared.status, 200);
+  assert.equal((await attempt(password)).status, 200);
+
+  const entry = env.readStoreFile().auditLog.at(-1);
+  assert.equal(entry.route, `DELETE /api/admin/auth-lockouts/${key}`);
+  assert.deepEqual(entry.changes.map((change) => [change.entityType, change.entityId, change.action]), [
+    ['auth-lockout', 'account:cleared@example.com', 'delete'],
+  ]);
+});
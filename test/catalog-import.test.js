@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, loadServer, startServer, stopServer, createClient, signUp } = require('./helpers');
+
+const env = loadServer();
+let baseUrl;
+let admin;
+
+test.before(async () => {
+  baseUrl = await startServer(env.app);
+  const request = createClient(baseUrl);
+  admin = (method, pathname, options = {}) =>
+    request(method, pathname, { ...options, headers: { 'x-admin-key': ADMIN_KEY, ...options.headers } });
+});
+
+test.after(async () => {
+  await stopServer(env.app);
+  env.cleanup();
+});
+
+function previewImport(type, body, contentType = 'text/csv') {
+  return admin('POST', `/api/admin/catalog/import/${type}?sportId=sp_soccer`, { body, headers: { 'content-type': contentType } });
+}
+
+const teamsCsv = [
+  'id,name,aliases,leagues',
+  ',Harbour Town FC,Harbour,',
+  ',Arsenal,Gunners,',
+  ',Harbour Town FC,,',
+  ',Nowhere United,,No Such League',
+  'tm_missing,Ghost FC,,',
+].join('\n');
+
+let preview;
+
+test('a preview reports every line and writes nothing', async () => {
+  const before = env.readStoreFile();
+  const res = await previewImport('teams', teamsCsv);
+  assert.equal(res.status, 200);
+  preview = res.body;
+  assert.deepEqual(preview.summary, { rows: 5, create: 1, update: 1, unchanged: 0, invalid: 3 });
+  assert.deepEqual(
+    preview.rows.map((row) => [row.line, row.action]),
+    [
+      [2, 'create'],
+      [3, 'update'],
+      [4, 'invalid'],
+      [5, 'invalid'],
+      [6, 'invalid'],
+    ]
+  );
+  // Rows that would be created have no id yet.
+  assert.equal(preview.rows[0].id, null);
+  assert.deepEqual(env.readStoreFile(), before);
+});
+
+test('committing applies the previewed rows once, audited', async () => {
+  const res = await admin('POST', `/api/admin/catalog/imports/${preview.importId}/commit`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.summary, preview.summary);
+
+  const store = env.readStoreFile();
+  const created = store.teams.find((team) => team.name === 'Harbour Town FC');
+  assert.equal(res.body.rows[0].id, created.id);
+  assert.equal(created.sportId, 'sp_soccer');
+  assert.equal(created.source, 'import');
+  assert.deepEqual(created.aliases, ['Harbour']);
+  assert.deepEqual(store.teams.find((team) => team.name === 'Arsenal').aliases, ['Gunners']);
+  assert.ok(!store.teams.some((team) => team.name === 'Nowhere United' || team.name === 'Ghost FC'));
+
+  const entry = store.auditLog.at(-1);
+  assert.equal(entry.route, `POST /api/admin/catalog/imports/${preview.importId}/commit`);
+  assert.deepEqual(entry.actor, { type: 'admin-key', userId: null });
+  assert.ok(entry.changes.some((change) => change.entityId === created.id && change.action === 'create'));
+
+  const again = await admin('POST', `/api/admin/catalog/imports/${preview.importId}/commit`);
+  assert.equal(again.status, 404);
+});
+
+test('imported entities are searchable and followable', async () => {
+  const { request } = await signUp(baseUrl, 'fan@example.com');
+  const search = await request('GET', '/api/search?q=harbour&types=teams');
+  const [hit] = search.body.groups.teams;
+  assert.equal(hit.name, 'Harbour Town FC');
+  assert.equal(hit.matchedAlias, 'Harbour');
+
+  const follow = await request('POST', '/api/me/follows', { body: { entityType: 'team', entityId: hit.id } });
+  assert.equal(follow.status, 200);
+  assert.ok(follow.body.interests.teamIds.includes(hit.id));
+});
+
+test('an export imports back unchanged', async () => {
+  const exported = await admin('GET', '/api/admin/catalog/export/teams?sportId=sp_soccer&format=csv');
+  assert.equal(exported.status, 200);
+  assert.match(exported.headers.get('content-type'), /^text\/csv/);
+  const lines = exported.body.trim().split('\n');
+  assert.equal(lines.length - 1, env.readStoreFile().teams.filter((team) => !team.archivedAt).length);
+
+  const res = await previewImport('teams', exported.body);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.summary, { rows: lines.length - 1, create: 0, update: 0, unchanged: lines.length - 1, invalid: 0 });
+});
+
+test('NDJSON player rows join their team without recording a transfer', async () => {
+  const rows = [
+    { name: 'Casey Keeper', team: 'Harbour Town FC', position: 'Goalkeeper' },
+    { name: 'Nobody Anywhere', team: 'Missing Team' },
+  ];
+  const res = await previewImport('players', rows.map((row) => JSON.stringify(row)).join('\n'), 'application/x-ndjson');
+  assert.deepEqual(res.body.summary, { rows: 2, create: 1, update: 0, unchanged: 0, invalid: 1 });
+  await admin('POST', `/api/admin/catalog/imports/${res.body.importId}/commit`);
+
+  const store = env.readStoreFile();
+  const team = store.teams.find((item) => item.name === 'Harbour Town FC');
+  const player = store.players.find((item) => item.name === 'Casey Keeper');
+  assert.equal(player.teamId, team.id);
+  assert.equal(player.position, 'Goalkeeper');
+  assert.equal(player.source, 'import');
+  const history = store.playerTeamHistory.filter((entry) => entry.playerId === player.id);
+  assert.deepEqual(history.map((entry) => [entry.teamId, entry.fromTeamId]), [[team.id, null]]);
+});
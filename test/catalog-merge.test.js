@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, loadServer, startServer, stopServer, createClient, signUp } = require('./helpers');
+
+const env = loadServer();
+let baseUrl;
+let admin;
+
+test.before(async () => {
+  baseUrl = await startServer(env.app);
+  const request = createClient(baseUrl);
+  admin = (method, pathname, options = {}) =>
+    request(method, pathname, { ...options, headers: { 'x-admin-key': ADMIN_KEY, ...options.headers } });
+});
+
+test.after(async () => {
+  await stopServer(env.app);
+  env.cleanup();
+});
+
+async function createTeam(name) {
+  const res = await admin('POST', '/api/admin/catalog/teams', { body: { name, sportId: 'sp_soccer' } });
+  assert.equal(res.status, 201);
+  return res.body.entity;
+}
+
+test('merging into an archived survivor is refused and moves nothing', async () => {
+  const survivor = await createTeam('Man Utd');
+  const duplicate = await createTeam('Manchester United Reserves');
+  const { request } = await signUp(baseUrl, 'follower@example.com');
+  assert.equal((await request('POST', '/api/me/follows', { body: { entityType: 'team', entityId: duplicate.id } })).status, 200);
+  assert.equal((await admin('POST', `/api/admin/catalog/teams/${survivor.id}/archive`)).status, 200);
+
+  const before = env.readStoreFile();
+  const merge = await admin('POST', '/api/admin/merge', {
+    body: { entityType: 'team', survivorId: survivor.id, duplicateIds: [duplicate.id] },
+  });
+  assert.equal(merge.status, 409);
+  assert.deepEqual(env.readStoreFile().follows, before.follows);
+  assert.ok(env.readStoreFile().teams.some((team) => team.id === duplicate.id));
+});
+
+test('an archived duplicate folds into a live survivor and its followers follow the survivor', async () => {
+  const survivor = await createTeam('Sporting Lisbon');
+  const duplicate = await createTeam('Sporting CP');
+  const { request } = await signUp(baseUrl, 'lisbon@example.com');
+  assert.equal((await request('POST', '/api/me/follows', { body: { entityType: 'team', entityId: duplicate.id } })).status, 200);
+  assert.equal((await admin('POST', `/api/admin/catalog/teams/${duplicate.id}/archive`)).status, 200);
+  assert.ok(!(await request('GET', '/api/me/interests')).body.teamIds.includes(duplicate.id));
+
+  const merge = await admin('POST', '/api/admin/merge', {
+    body: { entityType: 'team', survivorId: survivor.id, duplicateIds: [duplicate.id] },
+  });
+  assert.equal(merge.status, 200);
+  assert.equal(merge.body.followsMoved, 1);
+  assert.deepEqual(merge.body.survivor.aliases, ['Sporting CP']);
+  assert.ok((await request('GET', '/api/me/interests')).body.teamIds.includes(survivor.id));
+});
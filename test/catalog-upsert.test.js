@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, loadServer, startServer, stopServer, createClient, signUp } = require('./helpers');
+
+const env = loadServer();
+let baseUrl;
+
+test.before(async () => {
+  baseUrl = await startServer(env.app);
+});
+
+test.after(async () => {
+  await stopServer(env.app);
+  env.cleanup();
+});
+
+test('upserted leagues, teams and memberships show up in the interest editor', async () => {
+  const admin = createClient(baseUrl);
+  const upsert = await admin('POST', '/api/admin/catalog/upsert', {
+    headers: { 'x-admin-key': ADMIN_KEY },
+    body: {
+      sportId: 'sp_soccer',
+      leagues: [{ name: 'Test League Q' }],
+      teams: [{ name: 'Quarry Town' }, { name: '<script>x</script>' }],
+      memberships: [{ teamName: 'Quarry Town', leagueName: 'Test League Q' }],
+      players: [{ name: 'Quinn Quarry', teamName: 'Quarry Town' }],
+    },
+  });
+  assert.equal(upsert.status, 200);
+  assert.deepEqual(
+    [upsert.body.createdLeagues, upsert.body.createdTeams, upsert.body.createdMemberships, upsert.body.createdPlayers],
+    [1, 1, 1, 1]
+  );
+
+  const { request } = await signUp(baseUrl, 'editor-fan@example.com');
+  const options = (await request('GET', '/api/sports/sp_soccer/interests-options')).body;
+  const league = options.leagues.find((item) => item.name === 'Test League Q');
+  const team = options.teams.find((item) => item.name === 'Quarry Town');
+  assert.ok(league);
+  assert.equal(league.source, 'manual');
+  assert.deepEqual(team.leagueIds, [league.id]);
+  assert.equal(options.players.find((item) => item.name === 'Quinn Quarry').teamId, team.id);
+
+  const saved = await request('POST', '/api/sports/sp_soccer/interests', {
+    body: { teamIds: [team.id], playerIds: [], leagueIds: [league.id] },
+  });
+  assert.equal(saved.status, 200);
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SEED_STORE = path.join(__dirname, '..', 'data', 'store.json');
+const ADMIN_KEY = 'test-admin-key';
+
+// Replaces the store file in one rename, so the server's file cache sees a new file.
+function writeStoreFile(dataFile, doc) {
+  const tempPath = `${dataFile}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(doc, null, 2));
+  fs.renameSync(tempPath, dataFile);
+}
+
+// Points server.js at a throwaway directory and requires it. `store` is the initial store document
+// (default: a copy of data/store.json); `driver: 'sqlite'` points the server at an empty store.db in
+// the same directory instead, and `env` overrides any of the variables set below. node --test runs
+// every file in its own process, so each test file gets one server and one store.
+function loadServer(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sports-one-test-'));
+  const dataFile = path.join(dir, 'store.json');
+  const sqliteFile = path.join(dir, 'store.db');
+  writeStoreFile(dataFile, options.store || JSON.parse(fs.readFileSync(SEED_STORE, 'utf8')));
+  Object.assign(process.env, {
+    DATA_FILE: dataFile,
+    STORE_DRIVER: options.driver || 'json',
+    SQLITE_FILE: sqliteFile,
+    BACKUP_DIR: path.join(dir, 'backups'),
+    MAIL_OUTBOX_DIR: path.join(dir, 'outbox'),
+    CATALOG_PROVIDER: 'fixtures',
+    CATALOG_SYNC_INTERVAL_MS: '0',
+    UNVERIFIED_RESTRICTIONS: '',
+    ADMIN_KEY,
+    ...options.env,
+  });
+  const app = require('../server');
+  return {
+    app,
+    dir,
+    dataFile,
+    sqliteFile,
+    readStoreFile: () => JSON.parse(fs.readFileSync(dataFile, 'utf8')),
+    writeStoreFile: (doc) => writeStoreFile(dataFile, doc),
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+}
+
+// Migrates the store and listens on a free port. Resolves to the base URL.
+async function startServer(app) {
+  app.runMigrations();
+  await new Promise((resolve) => app.server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${app.server.address().port}`;
+}
+
+function stopServer(app) {
+  app.server.closeAllConnections();
+  return new Promise((resolve) => app.server.close(resolve));
+}
+
+// A browser-like client: keeps the session cookie and echoes the CSRF token from login/signup.
+// Objects are sent as JSON; strings are sent as they are, with whatever content-type is passed.
+function createClient(baseUrl) {
+  let cookie = null;
+  let csrfToken = null;
+  return async function request(method, pathname, options = {}) {
+    const headers = { ...options.headers };
+    if (cookie) headers.cookie = cookie;
+    if (csrfToken) headers['x-csrf-token'] = csrfToken;
+    let body = options.body;
+    if (body !== undefined && typeof body !== 'string') {
+      headers['content-type'] = 'application/json';
+      body = JSON.stringify(body);
+    }
+    const res = await fetch(new URL(pathname, baseUrl), { method, headers, body });
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    const text = await res.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      // CSV exports and other plain-text responses are returned as they are.
+    }
+    if (data && data.csrfToken) csrfToken = data.csrfToken;
+    return { status: res.status, headers: res.headers, body: data };
+  };
+}
+
+// Signs up a fresh user and returns a client logged in as them.
+async function signUp(baseUrl, email, password = 'correct horse 42') {
+  const request = createClient(baseUrl);
+  const res = await request('POST', '/api/auth/signup', { body: { name: 'Test User', email, password } });
+  if (res.status !== 201 && res.status !== 200) throw new Error(`Signup failed (${res.status}): ${JSON.stringify(res.body)}`);
+  return { request, user: res.body.user, password };
+}
+
+module.exports = { ADMIN_KEY, loadServer, startServer, stopServer, createClient, signUp };
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { loadServer } = require('./helpers');
+
+// A store as the first prototype wrote it: no schemaVersion and none of the later collections.
+function legacyStore() {
+  return {
+    users: [
+      { id: 'usr_a', email: 'a@example.com', name: 'A', passwordHash: 'salt:hash', createdAt: '2024-01-01T00:00:00.000Z' },
+    ],
+    sessions: [{ id: 'sid_a', userId: 'usr_a', createdAt: '2024-01-02T00:00:00.000Z' }],
+    sports: [
+      { id: 'sp_soccer', name: 'Soccer', slug: 'soccer', isPopular: true },
+      { id: 'sp_padel', name: 'Padel', slug: 'padel', isPopular: false },
+      { id: 'sp_f1', name: 'Formula 1', slug: 'formula-1', isPopular: false, aliases: ['Grand Prix'] },
+    ],
+    teams: [{ id: 'tm_a', sportId: 'sp_soccer', name: 'Arsenal', slug: 'arsenal' }],
+    players: [
+      { id: 'pl_a', sportId: 'sp_soccer', teamId: 'tm_a', name: 'Bukayo Saka' },
+      { id: 'pl_b', sportId: 'sp_soccer', teamId: null, name: 'Free Agent' },
+    ],
+    follows: [],
+    sportRequests: [
+      { id: 'sr_2', userId: 'usr_b', sportName: 'Padel', normalizedName: 'padel', status: 'pending', createdAt: '2024-02-02T00:00:00.000Z' },
+      { id: 'sr_1', userId: 'usr_a', sportName: 'padel', normalizedName: 'padel', status: 'pending', createdAt: '2024-02-01T00:00:00.000Z' },
+    ],
+    feedCacheBySport: {
+      sp_soccer: { fetchedAt: '2024-01-01T00:00:00.000Z', items: [] },
+      sp_padel: { default: { fetchedAt: '2024-01-01T00:00:00.000Z', items: [] } },
+    },
+  };
+}
+
+const env = loadServer({ store: legacyStore() });
+const { STORE_MIGRATIONS, CURRENT_SCHEMA_VERSION, runMigrations } = env.app;
+
+test.after(() => env.cleanup());
+
+test('migrations are numbered 1..n in order', () => {
+  assert.deepEqual(
+    STORE_MIGRATIONS.map((migration) => migration.version),
+    STORE_MIGRATIONS.map((_, index) => index + 1)
+  );
+  assert.equal(CURRENT_SCHEMA_VERSION, STORE_MIGRATIONS.length);
+});
+
+test('a dry run reports pending migrations without writing', () => {
+  const before = fs.readFileSync(env.dataFile, 'utf8');
+  const result = runMigrations({ dryRun: true });
+  assert.equal(result.fromVersion, 0);
+  assert.equal(result.toVersion, CURRENT_SCHEMA_VERSION);
+  assert.equal(result.applied.length, STORE_MIGRATIONS.length);
+  assert.equal(result.backupPath, null);
+  assert.equal(fs.readFileSync(env.dataFile, 'utf8'), before);
+});
+
+test('a legacy store is migrated to the current version after a backup', () => {
+  const result = runMigrations();
+  assert.equal(result.toVersion, CURRENT_SCHEMA_VERSION);
+  assert.ok(fs.existsSync(result.backupPath));
+  assert.equal(JSON.parse(fs.readFileSync(result.backupPath, 'utf8')).schemaVersion, undefined);
+
+  const store = env.readStoreFile();
+  assert.equal(store.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.deepEqual(store.auditLog, []);
+  assert.deepEqual(store.authThrottles, {});
+
+  // v2: the old single-entry cache goes, per-preference maps stay.
+  assert.deepEqual(Object.keys(store.feedCacheBySport), ['sp_padel']);
+
+  // v3, v5: sessions get lastSeenAt, device fields and a CSRF token.
+  const [session] = store.sessions;
+  assert.equal(session.lastSeenAt, '2024-01-02T00:00:00.000Z');
+  assert.equal(session.userAgent, null);
+  assert.match(session.csrfToken, /^[0-9a-f]{48}$/);
+
+  // v4, v6: accounts from before verification count as verified, and everyone gets a roles list.
+  const [user] = store.users;
+  assert.equal(user.emailVerifiedAt, '2024-01-01T00:00:00.000Z');
+  assert.deepEqual(user.roles, []);
+
+  // v7: only players already on a team get an open history entry.
+  assert.equal(store.playerTeamHistory.length, 1);
+  assert.deepEqual(
+    { playerId: store.playerTeamHistory[0].playerId, teamId: store.playerTeamHistory[0].teamId, to: store.playerTeamHistory[0].to },
+    { playerId: 'pl_a', teamId: 'tm_a', to: null }
+  );
+
+  // v8: duplicate pending requests fold into the oldest one.
+  const requests = Object.fromEntries(store.sportRequests.map((request) => [request.id, request]));
+  assert.equal(requests.sr_1.status, 'pending');
+  assert.deepEqual(requests.sr_1.voterIds.sort(), ['usr_a', 'usr_b']);
+  assert.equal(requests.sr_2.status, 'merged');
+  assert.equal(requests.sr_2.mergedInto, 'sr_1');
+
+  // v9: known sports get aliases, existing aliases are kept.
+  const sports = Object.fromEntries(store.sports.map((sport) => [sport.id, sport]));
+  assert.ok(sports.sp_soccer.aliases.includes('Football'));
+  assert.equal(sports.sp_padel.aliases, undefined);
+  assert.deepEqual(sports.sp_f1.aliases, ['Grand Prix']);
+});
+
+test('running again is a no-op', () => {
+  const before = fs.readFileSync(env.dataFile, 'utf8');
+  const result = runMigrations();
+  assert.deepEqual(result.applied, []);
+  assert.equal(result.backupPath, null);
+  assert.equal(fs.readFileSync(env.dataFile, 'utf8'), before);
+});
+
+test('v10 marks editor-created, upserted and imported entities from the audit log', () => {
+  const store = env.readStoreFile();
+  store.schemaVersion = 9;
+  store.teams.push(
+    { id: 'tm_manual', sportId: 'sp_soccer', name: 'Hand Made FC', slug: 'hand-made-fc' },
+    { id: 'tm_import', sportId: 'sp_soccer', name: 'Imported FC', slug: 'imported-fc' },
+    { id: 'tm_upsert', sportId: 'sp_soccer', name: 'Upserted FC', slug: 'upserted-fc' }
+  );
+  const created = (id) => [{ entityType: 'team', entityId: id, action: 'create', before: null, after: {} }];
+  store.auditLog.push(
+    { id: 'aud_1', route: 'POST /api/admin/catalog/teams', changes: created('tm_manual') },
+    { id: 'aud_2', route: 'POST /api/admin/catalog/imports/imp_1/commit', changes: created('tm_import') },
+    { id: 'aud_3', route: 'POST /api/admin/catalog/upsert', changes: created('tm_upsert') }
+  );
+  env.writeStoreFile(store);
+
+  const result = runMigrations();
+  assert.deepEqual(result.applied.map((migration) => migration.version), [10]);
+  const sources = Object.fromEntries(env.readStoreFile().teams.map((team) => [team.id, team.source]));
+  assert.equal(sources.tm_manual, 'manual');
+  assert.equal(sources.tm_import, 'import');
+  assert.equal(sources.tm_upsert, 'manual');
+  assert.equal(sources.tm_a, undefined);
+});
+
+test('a store newer than the server is refused', () => {
+  env.writeStoreFile({ ...env.readStoreFile(), schemaVersion: CURRENT_SCHEMA_VERSION + 1 });
+  assert.throws(() => runMigrations(), /newer than this server supports/);
+});
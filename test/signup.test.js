@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startServer, stopServer, signUp } = require('./helpers');
+
+// The outbox can't be created under /dev/null, so every mail fails to send.
+const env = loadServer({ env: { MAIL_OUTBOX_DIR: '/dev/null/outbox' } });
+let baseUrl;
+
+test.before(async () => {
+  baseUrl = await startServer(env.app);
+});
+
+test.after(async () => {
+  await stopServer(env.app);
+  env.cleanup();
+});
+
+test('signup succeeds and signs in when the verification email fails', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const { request, user } = await signUp(baseUrl, 'nomail@example.com');
+  assert.equal(user.emailVerifiedAt, null);
+
+  const me = await request('GET', '/api/me');
+  assert.equal(me.status, 200);
+  assert.equal(me.body.user.id, user.id);
+  assert.ok(env.readStoreFile().users.some((item) => item.id === user.id));
+
+  for (let i = 0; i < 50 && logged.mock.callCount() === 0; i += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.match(logged.mock.calls[0].arguments[0], /^Verification email failed: /);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, loadServer, startServer, stopServer, createClient, signUp } = require('./helpers');
+
+const env = loadServer();
+let baseUrl;
+
+test.before(async () => {
+  baseUrl = await startServer(env.app);
+});
+
+test.after(async () => {
+  await stopServer(env.app);
+  env.cleanup();
+});
+
+test('an export only shows the public view of requests the user merely voted on', async () => {
+  const alice = await signUp(baseUrl, 'alice@example.com');
+  const bob = await signUp(baseUrl, 'bob@example.com');
+  const created = await alice.request('POST', '/api/catalog/sport-requests', {
+    body: { sportName: 'Underwater Hockey', reason: 'secret reason from alice' },
+  });
+  assert.equal(created.status, 201);
+  const vote = await bob.request('POST', `/api/catalog/sport-requests/${created.body.request.id}/vote`);
+  assert.equal(vote.status, 200);
+
+  const bobExport = (await bob.request('GET', '/api/me/export')).body;
+  assert.deepEqual(bobExport.sportRequests, []);
+  assert.equal(bobExport.votedSportRequests.length, 1);
+  assert.equal(bobExport.votedSportRequests[0].id, created.body.request.id);
+  assert.equal(bobExport.votedSportRequests[0].voted, true);
+  const raw = JSON.stringify(bobExport);
+  assert.ok(!raw.includes(alice.user.id));
+  assert.ok(!raw.includes('secret reason from alice'));
+
+  const aliceExport = (await alice.request('GET', '/api/me/export')).body;
+  assert.equal(aliceExport.sportRequests.length, 1);
+  assert.equal(aliceExport.sportRequests[0].reason, 'secret reason from alice');
+  assert.equal(aliceExport.sportRequests[0].votes, 2);
+  assert.ok(!JSON.stringify(aliceExport).includes(bob.user.id));
+});
+
+test('sport names with markup are refused when requested and when approved', async () => {
+  const carol = await signUp(baseUrl, 'carol@example.com');
+  const planted = await carol.request('POST', '/api/catalog/sport-requests', {
+    body: { sportName: '<img src=x onerror=alert(1)>' },
+  });
+  assert.equal(planted.status, 400);
+
+  // A request stored before the check existed can only be approved under a clean name.
+  const store = env.readStoreFile();
+  store.sportRequests.push({
+    id: 'spr_legacy',
+    userId: carol.user.id,
+    sportName: '<b>Sepak Takraw</b>',
+    normalizedName: 'bsepaktakrawb',
+    reason: '',
+    status: 'pending',
+    voterIds: [carol.user.id],
+    createdAt: new Date().toISOString(),
+  });
+  env.writeStoreFile(store);
+
+  const admin = createClient(baseUrl);
+  const headers = { 'x-admin-key': ADMIN_KEY };
+  const refused = await admin('POST', '/api/admin/sport-requests/spr_legacy/approve', { body: {}, headers });
+  assert.equal(refused.status, 400);
+  assert.match(refused.body.error, /< >/);
+  const approved = await admin('POST', '/api/admin/sport-requests/spr_legacy/approve', {
+    body: { sportName: 'Sepak Takraw' },
+    headers,
+  });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.sport.name, 'Sepak Takraw');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+let DatabaseSync = null;
+try {
+  ({ DatabaseSync } = require('node:sqlite'));
+} catch (_) {
+  // Node.js before 22.5: the SQLite driver is unavailable and these tests are skipped.
+}
+
+const skip = DatabaseSync ? false : 'needs node:sqlite (Node.js 22.5+)';
+const env = DatabaseSync ? loadServer({ driver: 'sqlite' }) : null;
+let log;
+
+test.before(() => {
+  if (!env) return;
+  env.app.importJsonStore(env.dataFile);
+  env.app.runMigrations();
+  // A second connection records every row the server writes, through triggers on each table.
+  log = new DatabaseSync(env.sqliteFile);
+  log.exec('CREATE TABLE write_log (tbl TEXT NOT NULL, op TEXT NOT NULL)');
+  log
+    .prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT IN ('_meta', 'write_log')`)
+    .all()
+    .forEach(({ name }) => {
+      ['INSERT', 'UPDATE', 'DELETE'].forEach((op) => {
+        log.exec(`CREATE TRIGGER "log_${name}_${op}" AFTER ${op} ON "${name}"
+          BEGIN INSERT INTO write_log (tbl, op) VALUES ('${name}', '${op.toLowerCase()}'); END`);
+      });
+    });
+});
+
+test.after(() => {
+  if (!env) return;
+  log.close();
+  env.cleanup();
+});
+
+function takeWrites() {
+  const rows = log.prepare('SELECT tbl, op FROM write_log').all().map((row) => `${row.tbl} ${row.op}`);
+  log.exec('DELETE FROM write_log');
+  return rows;
+}
+
+test('the SQLite store reads back what was imported', { skip }, () => {
+  const source = env.readStoreFile();
+  const store = env.app.readStore();
+  assert.deepEqual(store.players, source.players);
+  assert.deepEqual(store.sports.map((sport) => sport.id), source.sports.map((sport) => sport.id));
+});
+
+test('changing one row writes only that row', { skip }, async () => {
+  takeWrites();
+  await env.app.mutateStore((store) => {
+    store.players[3] = { ...store.players[3], position: 'Sweeper' };
+  });
+  assert.deepEqual(takeWrites(), ['players update']);
+  assert.equal(env.app.readStore().players[3].position, 'Sweeper');
+});
+
+test('adding, removing and reordering rows keeps the stored order', { skip }, async () => {
+  const before = env.app.readStore().players;
+  takeWrites();
+  await env.app.mutateStore((store) => {
+    const [first, second, ...others] = store.players.slice(0, -1);
+    store.players = [second, first, ...others, { id: 'pl_new', sportId: first.sportId, name: 'New Player' }];
+  });
+  assert.deepEqual(takeWrites().sort(), ['players delete', 'players insert', 'players update', 'players update']);
+  const after = env.app.readStore().players;
+  assert.deepEqual(
+    after.map((player) => player.id),
+    [before[1].id, before[0].id, ...before.slice(2, -1).map((player) => player.id), 'pl_new']
+  );
+});
+
+test('map collections only write the keys that changed', { skip }, async () => {
+  await env.app.mutateStore((store) => {
+    store.authThrottles = { 'ip:a': { failures: 1 }, 'ip:b': { failures: 1 } };
+  });
+  takeWrites();
+  await env.app.mutateStore((store) => {
+    store.authThrottles = { 'ip:a': { failures: 1 }, 'ip:c': { failures: 2 } };
+  });
+  assert.deepEqual(takeWrites().sort(), ['authThrottles delete', 'authThrottles insert']);
+  assert.deepEqual(Object.keys(env.app.readStore().authThrottles).sort(), ['ip:a', 'ip:c']);
+});